@@ -0,0 +1,117 @@
+/**
+ * Address book: the wallets every command and the dashboard work on, with a
+ * label, groups, an enabled flag, per-wallet chain overrides and a sort order.
+ *
+ * The source is addresses.yaml at the repository root; lib/addresses.js loads
+ * and validates it, and generate writes dashboard/addresses.json for the
+ * dashboard sidebar. Entries are either a bare address or an object:
+ *   { address, label?, groups?, enabled?, chains?, order? }
+ * where the address may also be an ENS name. Checksums, duplicates and ENS
+ * names are handled when lib/addresses.js ingests the book.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiAddressBook`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DefiAddressBook = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+  // Dotted names such as vitalik.eth; the resolver decides whether they exist
+  const ENS_PATTERN = /^[^\s.]+(\.[^\s.]+)+$/;
+
+  const isHexAddress = value => ADDRESS_PATTERN.test(value);
+  const isEnsName = value => !value.startsWith('0x') && ENS_PATTERN.test(value);
+
+  const asEntry = raw => (typeof raw === 'string' ? { address: raw } : raw);
+
+  /**
+   * Check a parsed address book
+   * @param {Array} book Entries as read from addresses.yaml
+   * @returns {string[]} Problems found, empty when valid
+   */
+  function validateAddressBook(book) {
+    if (!Array.isArray(book)) return ['Address book must be a list of addresses or entries'];
+    const errors = [];
+    book.forEach((raw, idx) => {
+      const where = `[${idx}]`;
+      const entry = asEntry(raw);
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`${where}: must be an address or an entry`);
+        return;
+      }
+      if (typeof entry.address !== 'string' || !entry.address.trim()) errors.push(`${where}: missing address`);
+      if (entry.label !== undefined && entry.label !== null && typeof entry.label === 'object') errors.push(`${where}: label must be text`);
+      if (entry.groups !== undefined && !Array.isArray(entry.groups)) errors.push(`${where}: groups must be a list`);
+      if (entry.chains !== undefined && !Array.isArray(entry.chains)) errors.push(`${where}: chains must be a list`);
+      if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') errors.push(`${where}: enabled must be true or false`);
+      if (entry.order !== undefined && typeof entry.order !== 'number') errors.push(`${where}: order must be a number`);
+    });
+    return errors;
+  }
+
+  /**
+   * Entries of a valid address book with every field set, sorted by `order`
+   * (entries without one keep their file order, after the rest). Addresses
+   * are kept as written.
+   * @param {Array} book
+   * @returns {Array<{ address, label, groups, enabled, chains, order }>} chains: null for every chain
+   */
+  function normalizeAddressBook(book) {
+    return book.map((raw, idx) => {
+      const entry = asEntry(raw);
+      return {
+        idx,
+        address: entry.address.trim(),
+        label: entry.label === undefined || entry.label === null ? null : String(entry.label),
+        groups: (entry.groups || []).map(String),
+        enabled: entry.enabled !== false,
+        chains: entry.chains ? entry.chains.map(String) : null,
+        order: entry.order === undefined ? null : entry.order
+      };
+    }).sort((a, b) => {
+      if (a.order !== b.order) {
+        if (a.order === null) return 1;
+        if (b.order === null) return -1;
+        return a.order - b.order;
+      }
+      return a.idx - b.idx;
+    }).map(({ idx, ...entry }) => entry);
+  }
+
+  function enabledEntries(entries) {
+    return entries.filter(entry => entry.enabled);
+  }
+
+  // Every group used in the book, sorted
+  function groupsOf(entries) {
+    return [...new Set(entries.flatMap(entry => entry.groups))].sort();
+  }
+
+  /**
+   * Whether an entry matches a sidebar search: the query against its address,
+   * ENS name, label and groups (case-insensitive), and the group when one is picked
+   * @param {Object} entry Normalized entry
+   * @param {{ query?: string, group?: string }} filter
+   * @returns {boolean}
+   */
+  function matchesFilter(entry, { query, group }) {
+    if (group && !entry.groups.includes(group)) return false;
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return true;
+    return [entry.address, entry.ens || '', entry.label || '', ...entry.groups].some(text => text.toLowerCase().includes(needle));
+  }
+
+  return {
+    isHexAddress,
+    isEnsName,
+    validateAddressBook,
+    normalizeAddressBook,
+    enabledEntries,
+    groupsOf,
+    matchesFilter
+  };
+});
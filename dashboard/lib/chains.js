@@ -0,0 +1,179 @@
+/**
+ * Chain registry shared by the fetchers, the generator and the dashboard.
+ *
+ * Every supported chain is described once here. `key` is the id used in
+ * comparison_data.json, `providerIds` holds the id each data provider uses for
+ * the chain. Adding a chain means adding one entry below.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiChains`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DefiChains = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Providers every chain must have an id for
+  const PROVIDERS = ['debank', 'zerion'];
+
+  const CHAINS = [
+    {
+      key: 'ethereum',
+      chainId: 1,
+      name: 'Ethereum',
+      explorer: 'https://etherscan.io',
+      providerIds: { debank: 'eth', zerion: 'ethereum' }
+    },
+    {
+      key: 'optimism',
+      chainId: 10,
+      name: 'Optimism',
+      explorer: 'https://optimistic.etherscan.io',
+      providerIds: { debank: 'op', zerion: 'optimism' }
+    },
+    {
+      key: 'binance-smart-chain',
+      chainId: 56,
+      name: 'BNB Chain',
+      explorer: 'https://bscscan.com',
+      providerIds: { debank: 'bsc', zerion: 'binance-smart-chain' }
+    },
+    {
+      key: 'polygon',
+      chainId: 137,
+      name: 'Polygon',
+      explorer: 'https://polygonscan.com',
+      providerIds: { debank: 'matic', zerion: 'polygon' }
+    },
+    {
+      key: 'fantom',
+      chainId: 250,
+      name: 'Fantom',
+      explorer: 'https://ftmscan.com',
+      providerIds: { debank: 'ftm', zerion: 'fantom' }
+    },
+    {
+      key: 'zksync-era',
+      chainId: 324,
+      name: 'zkSync Era',
+      explorer: 'https://era.zksync.network',
+      providerIds: { debank: 'era', zerion: 'zksync-era' }
+    },
+    {
+      key: 'base',
+      chainId: 8453,
+      name: 'Base',
+      explorer: 'https://basescan.org',
+      providerIds: { debank: 'base', zerion: 'base' }
+    },
+    {
+      key: 'arbitrum',
+      chainId: 42161,
+      name: 'Arbitrum',
+      explorer: 'https://arbiscan.io',
+      providerIds: { debank: 'arb', zerion: 'arbitrum' }
+    },
+    {
+      key: 'avalanche',
+      chainId: 43114,
+      name: 'Avalanche',
+      explorer: 'https://snowtrace.io',
+      providerIds: { debank: 'avax', zerion: 'avalanche' }
+    },
+    {
+      key: 'linea',
+      chainId: 59144,
+      name: 'Linea',
+      explorer: 'https://lineascan.build',
+      providerIds: { debank: 'linea', zerion: 'linea' }
+    },
+    {
+      key: 'scroll',
+      chainId: 534352,
+      name: 'Scroll',
+      explorer: 'https://scrollscan.com',
+      providerIds: { debank: 'scrl', zerion: 'scroll' }
+    }
+  ];
+
+  // Fail fast on an incomplete entry instead of silently dropping the chain later
+  function validate(chains) {
+    const seen = new Set();
+    chains.forEach(chain => {
+      const label = chain.key || `chainId ${chain.chainId}`;
+      ['key', 'chainId', 'name', 'explorer'].forEach(field => {
+        if (!chain[field]) {
+          throw new Error(`Chain registry: ${label} is missing "${field}"`);
+        }
+      });
+      PROVIDERS.forEach(provider => {
+        if (!chain.providerIds || !chain.providerIds[provider]) {
+          throw new Error(`Chain registry: ${label} is missing the ${provider} id`);
+        }
+      });
+      if (seen.has(chain.key)) {
+        throw new Error(`Chain registry: duplicate chain key "${chain.key}"`);
+      }
+      seen.add(chain.key);
+    });
+  }
+
+  validate(CHAINS);
+
+  const byKey = {};
+  CHAINS.forEach(chain => {
+    byKey[chain.key] = chain;
+  });
+
+  function getChain(key) {
+    return byKey[key] || null;
+  }
+
+  function getChainByEvmId(chainId) {
+    return CHAINS.find(chain => chain.chainId === Number(chainId)) || null;
+  }
+
+  function getChainByProviderId(provider, providerChainId) {
+    return CHAINS.find(chain => chain.providerIds[provider] === providerChainId) || null;
+  }
+
+  // Resolve user input (registry key, any provider's chain id or EVM chain id) to a chain
+  function findChain(input) {
+    if (input === undefined || input === null || input === '') return null;
+    const value = String(input).trim().toLowerCase();
+    if (byKey[value]) return byKey[value];
+    if (/^\d+$/.test(value)) return getChainByEvmId(value);
+    return CHAINS.find(chain => Object.values(chain.providerIds).includes(value)) || null;
+  }
+
+  // Provider chain ids for every registered chain, e.g. providerChainIds('debank') -> ['eth', 'op', ...]
+  function providerChainIds(provider) {
+    return CHAINS.map(chain => chain.providerIds[provider]);
+  }
+
+  function formatChain(key) {
+    if (!key) return '';
+    const chain = byKey[key];
+    if (chain) return chain.name;
+    return key.charAt(0).toUpperCase() + key.slice(1).replace(/-/g, ' ');
+  }
+
+  function explorerAddressUrl(key, address) {
+    const chain = byKey[key];
+    return chain ? `${chain.explorer}/address/${address}` : null;
+  }
+
+  return {
+    PROVIDERS,
+    CHAINS,
+    getChain,
+    getChainByEvmId,
+    getChainByProviderId,
+    findChain,
+    providerChainIds,
+    formatChain,
+    explorerAddressUrl
+  };
+});
@@ -0,0 +1,124 @@
+/**
+ * Lending risk cross-check: collateral, debt, LTV and health factor of every
+ * position with debt, as implied by each provider's data.
+ *
+ * Works on reconciled protocols (reconcileChain() output). A provider's own
+ * health rate (DeBank's `health_rate`) is used when it reports one; it also
+ * gives the position's effective liquidation threshold, which is applied to
+ * the other provider's legs so both health factors are comparable. Without a
+ * reported rate, DEFAULTS.liquidationThreshold is assumed.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiLending`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./reconcile'));
+  } else {
+    root.DefiLending = factory(root.DefiReconcile);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Reconcile) {
+  const DEFAULTS = {
+    minHealth: 1.2, // Health factors below this are flagged
+    debtPct: 0.02, // Debts more than 2% (and $1) apart are flagged
+    liquidationThreshold: 0.8 // Assumed when no provider reports a health rate
+  };
+
+  // Health rate a side reports for a position group, when it is a single position
+  function reportedHealth(positions) {
+    return positions.length === 1 && typeof positions[0].healthRate === 'number' ? positions[0].healthRate : null;
+  }
+
+  // Collateral (supply legs) and debt (borrow legs, as a positive amount) of one side
+  function legs(assets) {
+    let collateral = 0;
+    let debt = 0;
+    assets.forEach(a => {
+      const type = Reconcile.standardizeType(a.rawType || a.type);
+      if (type === 'borrow') debt += Math.abs(a.value || 0);
+      else if (type === 'supply') collateral += a.value || 0;
+    });
+    return { collateral, debt };
+  }
+
+  function sideRisk(assets, healthRate, liquidationThreshold) {
+    const { collateral, debt } = legs(assets);
+    let healthFactor = null;
+    if (healthRate !== null) healthFactor = healthRate;
+    else if (debt > 0) healthFactor = collateral * liquidationThreshold / debt;
+    return {
+      collateral,
+      debt,
+      ltv: collateral > 0 ? debt / collateral : null,
+      healthFactor,
+      reported: healthRate !== null
+    };
+  }
+
+  /**
+   * Lending positions (any position with debt on either side) of reconciled protocols
+   * @param {Array} protocols reconcileChain() output
+   * @param {Object} [options]
+   * @param {number} [options.minHealth] Flag health factors below this (default DEFAULTS.minHealth)
+   * @param {number} [options.debtPct] Flag debts further apart than this (default DEFAULTS.debtPct)
+   * @param {Function} [options.thresholds] ({ chain, protocol }) => thresholds giving the dust value and fiat gap
+   *   (default Reconcile.THRESHOLDS)
+   * @returns {Array<{ key, chain, protocol, position, pool, left, right, debtDiffPct, debtMismatch, lowHealth, flagged }>}
+   *   left/right: { collateral, debt, ltv, healthFactor, reported }, null when that provider has no such position
+   */
+  function lendingPositions(protocols, options = {}) {
+    const minHealth = options.minHealth === undefined ? DEFAULTS.minHealth : options.minHealth;
+    const debtPct = options.debtPct === undefined ? DEFAULTS.debtPct : options.debtPct;
+    const thresholds = options.thresholds || (() => Reconcile.THRESHOLDS);
+    const result = [];
+
+    protocols.forEach(proto => {
+      const t = thresholds({ chain: proto.chain, protocol: proto.name });
+      proto.positions.forEach(position => {
+        const sides = {};
+        ['left', 'right'].forEach(side => {
+          sides[side] = position.assets.filter(a => a[side]).map(a => a[side]);
+        });
+        const { collateral: leftCollateral, debt: leftDebt } = legs(sides.left);
+        const { collateral: rightCollateral, debt: rightDebt } = legs(sides.right);
+        if (leftDebt < t.dustValue && rightDebt < t.dustValue) return;
+
+        // A reported health rate gives the effective liquidation threshold of the position
+        const leftRate = reportedHealth(position.leftPositions);
+        const rightRate = reportedHealth(position.rightPositions);
+        let liquidationThreshold = DEFAULTS.liquidationThreshold;
+        if (leftRate !== null && leftDebt > 0 && leftCollateral > 0) liquidationThreshold = leftRate * leftDebt / leftCollateral;
+        else if (rightRate !== null && rightDebt > 0 && rightCollateral > 0) liquidationThreshold = rightRate * rightDebt / rightCollateral;
+
+        const left = position.leftPositions.length > 0 ? sideRisk(sides.left, leftRate, liquidationThreshold) : null;
+        const right = position.rightPositions.length > 0 ? sideRisk(sides.right, rightRate, liquidationThreshold) : null;
+
+        const debtGap = Math.abs(leftDebt - rightDebt);
+        const debtDiffPct = debtGap / (Math.max(leftDebt, rightDebt) || 1);
+        const debtMismatch = debtDiffPct > debtPct && debtGap > t.fiatGap;
+        const lowHealth = [left, right].some(side => side && side.healthFactor !== null && side.healthFactor < minHealth);
+
+        result.push({
+          key: `${proto.chain}|${proto.name}|${position.key}`,
+          chain: proto.chain,
+          protocol: proto.name,
+          position: position.name,
+          pool: position.pool,
+          left,
+          right,
+          debtDiffPct,
+          debtMismatch,
+          lowHealth,
+          flagged: debtMismatch || lowHealth
+        });
+      });
+    });
+
+    return result.sort((a, b) => Math.max(b.left?.debt || 0, b.right?.debt || 0) - Math.max(a.left?.debt || 0, a.right?.debt || 0));
+  }
+
+  return {
+    DEFAULTS,
+    lendingPositions
+  };
+});
@@ -0,0 +1,112 @@
+/**
+ * Portfolio aggregation: two providers' totals summed over several wallets,
+ * broken down by chain and by (chain, protocol).
+ *
+ * Every row keeps the wallets it was summed from, so a gap such as "Aave V3
+ * on Arbitrum differs by $40k across 6 wallets" can be traced back to the
+ * individual wallets. Rows and wallets use the discrepancy thresholds of the
+ * snapshot diff (more than $1 and 10%, or those of the selected rule profile).
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiPortfolio`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./snapshots'), require('./tokens'));
+  } else {
+    root.DefiPortfolio = factory(root.DefiSnapshots, root.DefiTokens);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Snapshots, Tokens) {
+  function addValue(rows, key, fields, address, side, value) {
+    if (!rows[key]) rows[key] = { key, ...fields, leftValue: 0, rightValue: 0, wallets: {} };
+    const row = rows[key];
+    if (!row.wallets[address]) row.wallets[address] = { address, leftValue: 0, rightValue: 0 };
+    row[side] += value || 0;
+    row.wallets[address][side] += value || 0;
+  }
+
+  // Gap and discrepancy flag of a row or wallet; rows under a known issue never differ
+  function withGap(item, knownIssue, t) {
+    return {
+      ...item,
+      gap: Math.abs(item.leftValue - item.rightValue),
+      isDiff: !knownIssue && Snapshots.isDiscrepancy(item.leftValue, item.rightValue, t)
+    };
+  }
+
+  const byGap = (a, b) => b.gap - a.gap;
+
+  // `thresholds`: ({ chain, protocol? }) => thresholds of the row's scope
+  function finishRows(rows, thresholds) {
+    return Object.values(rows).map(row => {
+      const t = thresholds({ chain: row.chain, protocol: row.protocol });
+      const wallets = Object.values(row.wallets).map(w => withGap(w, row.knownIssue, t)).sort(byGap);
+      return { ...withGap(row, row.knownIssue, t), wallets, diffWallets: wallets.filter(w => w.isDiff).length };
+    }).sort(byGap);
+  }
+
+  /**
+   * Sum two providers over a set of wallets
+   * @param {Object} data comparison_data.json content
+   * @param {string[]} addresses Wallets to include (keys of `data`)
+   * @param {Object} options
+   * @param {string} options.left Provider id
+   * @param {string} options.right Provider id
+   * @param {string[]} [options.chains] Only these chains (default: all)
+   * @param {Function} [options.transform] (chainEntry, chain) => chainEntry, e.g. to leave flagged assets out
+   * @param {Function} [options.isKnownWarning] (protocolName, chain) => true for protocols under a known issue:
+   *   they are summed but never flagged
+   * @param {Function} [options.thresholds] ({ chain, protocol? }) => thresholds, e.g. of a rule profile
+   *   (default: the snapshot diff's)
+   * @returns {{ wallets: number, totals: Object, byChain: Object[], byProtocol: Object[] }}
+   *   totals: { [providerId]: { value, wallet, count } } like the dashboard's summary cards;
+   *   rows: { key, chain, protocol?, knownIssue?, leftValue, rightValue, gap, isDiff, diffWallets,
+   *   wallets: [{ address, leftValue, rightValue, gap, isDiff }] }, largest gap first
+   */
+  function aggregatePortfolio(data, addresses, options) {
+    const { left, right } = options;
+    const transform = options.transform || (entry => entry);
+    const isKnownWarning = options.isKnownWarning || (() => false);
+    // Without a resolver, isDiscrepancy() applies its own defaults
+    const thresholds = options.thresholds || (() => undefined);
+    const totals = { [left]: { value: 0, wallet: 0, count: 0 }, [right]: { value: 0, wallet: 0, count: 0 } };
+    const chainRows = {};
+    const protocolRows = {};
+    let wallets = 0;
+
+    addresses.forEach(address => {
+      const chainMap = (data || {})[address];
+      if (!chainMap) return;
+      wallets++;
+      Object.keys(chainMap).forEach(chain => {
+        if (options.chains && !options.chains.includes(chain)) return;
+        const entry = transform(chainMap[chain], chain);
+        [['leftValue', left], ['rightValue', right]].forEach(([side, providerId]) => {
+          const providerData = entry[providerId];
+          if (!providerData) return;
+          Object.values(providerData.protocols).forEach(p => {
+            totals[providerId].value += p.value;
+            // The Wallet pseudo-protocol is not a protocol position
+            if (p.name === Tokens.WALLET_PROTOCOL) totals[providerId].wallet += p.value;
+            else totals[providerId].count++;
+
+            addValue(chainRows, chain, { chain }, address, side, p.value);
+            const fields = { chain, protocol: p.name, knownIssue: isKnownWarning(p.name, chain) };
+            addValue(protocolRows, `${chain}:${p.name.toLowerCase()}`, fields, address, side, p.value);
+          });
+        });
+      });
+    });
+
+    return {
+      wallets,
+      totals,
+      byChain: finishRows(chainRows, thresholds),
+      byProtocol: finishRows(protocolRows, thresholds)
+    };
+  }
+
+  return {
+    aggregatePortfolio
+  };
+});
@@ -0,0 +1,166 @@
+/**
+ * Rule profiles: named sets of comparison tolerances, with overrides for some
+ * chains, protocols or tokens (e.g. a looser price tolerance for stablecoins).
+ *
+ * Profiles live in the `profiles` section of registry.yaml. A profile sets any
+ * of the DEFAULTS; each of its `overrides` applies to the scopes matching all
+ * of its `chains`, `protocols` and `tokens` lists, later overrides winning.
+ * The built-in "default" profile is DEFAULTS as is.
+ *
+ * thresholdResolver() turns a profile into the `thresholds` option of the
+ * reconciliation engine (reconcile.js) and the QA analysis (report.js).
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiProfiles`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./reconcile'));
+  } else {
+    root.DefiProfiles = factory(root.DefiReconcile);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Reconcile) {
+  const DEFAULT_PROFILE = 'default';
+
+  // localStorage key of the active profile, shared by the dashboard pages
+  const STORAGE_KEY = 'defi-compare.profile';
+
+  const DEFAULTS = {
+    ...Reconcile.THRESHOLDS,
+    highPriorityGap: 10, // QA report: issues off by more than $10 are high priority
+    protocolActionCount: 2, // QA report: an action item for a protocol with more high-priority issues than this ...
+    chainActionCount: 5 // ... and for a chain with more than this
+  };
+
+  const SCOPE_LISTS = ['chains', 'protocols', 'tokens'];
+
+  function validateThresholds(thresholds, where, errors) {
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+      errors.push(`${where}: thresholds must be a map`);
+      return;
+    }
+    Object.entries(thresholds).forEach(([key, value]) => {
+      if (!(key in DEFAULTS)) errors.push(`${where}: unknown threshold "${key}"`);
+      else if (typeof value !== 'number' || !(value >= 0)) errors.push(`${where}: ${key} must be a number of at least 0`);
+    });
+  }
+
+  /**
+   * Check the profiles section of a parsed registry
+   * @param {Array} profiles
+   * @returns {string[]} Problems found, empty when valid
+   */
+  function validateProfiles(profiles) {
+    if (profiles === undefined) return [];
+    if (!Array.isArray(profiles)) return ['profiles must be a list'];
+    const errors = [];
+    const seen = new Set();
+    profiles.forEach((profile, idx) => {
+      const where = `profiles[${idx}]`;
+      if (!profile || typeof profile !== 'object') {
+        errors.push(`${where}: must be an entry`);
+        return;
+      }
+      if (!profile.id) errors.push(`${where}: missing id`);
+      else if (profile.id === DEFAULT_PROFILE) errors.push(`${where}: "${DEFAULT_PROFILE}" is the built-in profile`);
+      else if (seen.has(profile.id)) errors.push(`${where}: duplicate id "${profile.id}"`);
+      seen.add(profile.id);
+      if (profile.thresholds !== undefined) validateThresholds(profile.thresholds, where, errors);
+
+      if (profile.overrides === undefined) return;
+      if (!Array.isArray(profile.overrides)) {
+        errors.push(`${where}: overrides must be a list`);
+        return;
+      }
+      profile.overrides.forEach((override, i) => {
+        const at = `${where}.overrides[${i}]`;
+        if (!override || typeof override !== 'object') {
+          errors.push(`${at}: must be an entry`);
+          return;
+        }
+        SCOPE_LISTS.forEach(list => {
+          if (override[list] !== undefined && !Array.isArray(override[list])) errors.push(`${at}: ${list} must be a list`);
+        });
+        if (SCOPE_LISTS.every(list => override[list] === undefined)) errors.push(`${at}: needs chains, protocols or tokens`);
+        validateThresholds(override.thresholds, at, errors);
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Profiles to choose from, the built-in one first
+   * @param {Object} registry
+   * @returns {Array<{ id: string, description: string|null }>}
+   */
+  function listProfiles(registry) {
+    return [
+      { id: DEFAULT_PROFILE, description: null },
+      ...(registry.profiles || []).map(profile => ({ id: profile.id, description: profile.description || null }))
+    ];
+  }
+
+  /**
+   * A profile of the registry
+   * @param {Object} registry
+   * @param {string} [id] Default: the built-in profile
+   * @returns {Object|null} { id, description?, thresholds?, overrides? }; null for an unknown id
+   */
+  function findProfile(registry, id = DEFAULT_PROFILE) {
+    if (id === DEFAULT_PROFILE) return { id: DEFAULT_PROFILE };
+    return (registry.profiles || []).find(profile => profile.id === id) || null;
+  }
+
+  const lowerIncludes = (list, value) => list.some(item => String(item).toLowerCase() === value.toLowerCase());
+
+  // Whether an override applies to a scope; a pair symbol such as "stETH/wstETH" matches either token
+  function overrideMatches(override, scope) {
+    if (override.chains && !(scope.chain && override.chains.includes(scope.chain))) return false;
+    if (override.protocols && !(scope.protocol && lowerIncludes(override.protocols, scope.protocol))) return false;
+    if (override.tokens && !(scope.symbol && scope.symbol.split('/').some(symbol => lowerIncludes(override.tokens, symbol)))) return false;
+    return true;
+  }
+
+  /**
+   * Thresholds of a profile for one scope
+   * @param {Object} profile findProfile() result
+   * @param {{ chain?: string, protocol?: string, symbol?: string }} [scope] Omitted fields only match overrides without that list
+   * @returns {Object} Every key of DEFAULTS
+   */
+  function thresholdsFor(profile, scope = {}) {
+    const thresholds = { ...DEFAULTS, ...(profile && profile.thresholds) };
+    ((profile && profile.overrides) || []).forEach(override => {
+      if (overrideMatches(override, scope)) Object.assign(thresholds, override.thresholds);
+    });
+    return thresholds;
+  }
+
+  /**
+   * The `thresholds` option of the reconciliation engine and QA analysis for a profile
+   * @param {Object} registry
+   * @param {string} [id] Profile id (default: the built-in profile)
+   * @returns {Function} (scope) => thresholds, cached per scope
+   * @throws When the profile does not exist
+   */
+  function thresholdResolver(registry, id = DEFAULT_PROFILE) {
+    const profile = findProfile(registry, id);
+    if (!profile) throw new Error(`Unknown profile "${id}"`);
+    const cache = {};
+    return (scope = {}) => {
+      const key = `${scope.chain || ''}|${scope.protocol || ''}|${scope.symbol || ''}`.toLowerCase();
+      if (!cache[key]) cache[key] = thresholdsFor(profile, scope);
+      return cache[key];
+    };
+  }
+
+  return {
+    DEFAULT_PROFILE,
+    STORAGE_KEY,
+    DEFAULTS,
+    validateProfiles,
+    listProfiles,
+    findProfile,
+    thresholdsFor,
+    thresholdResolver
+  };
+});
@@ -0,0 +1,60 @@
+/**
+ * Display metadata for portfolio data providers.
+ *
+ * The Node adapters in lib/providers/ take their display name from here and the
+ * dashboard uses it to label columns. Comparison data is keyed by provider id,
+ * so a provider missing from this table still renders, just with its raw id.
+ *
+ * Exposed as `window.DefiProviders` in the browser.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DefiProviders = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const PROVIDERS = {
+    debank: {
+      id: 'debank',
+      name: 'DeBank',
+      color: '#ff8a00',
+      profileUrl: 'https://debank.com/profile/{address}'
+    },
+    zerion: {
+      id: 'zerion',
+      name: 'Zerion',
+      color: '#2962ff',
+      profileUrl: 'https://app.zerion.io/{address}/overview'
+    }
+  };
+
+  const FALLBACK_COLORS = ['#10b981', '#8b5cf6', '#ec4899', '#06b6d4'];
+
+  function getProvider(id) {
+    if (PROVIDERS[id]) return PROVIDERS[id];
+    const idx = Object.keys(PROVIDERS).length + (id.length % FALLBACK_COLORS.length);
+    return {
+      id,
+      name: id.charAt(0).toUpperCase() + id.slice(1),
+      color: FALLBACK_COLORS[idx % FALLBACK_COLORS.length],
+      profileUrl: null
+    };
+  }
+
+  function formatProvider(id) {
+    return getProvider(id).name;
+  }
+
+  function profileUrl(id, address) {
+    const provider = getProvider(id);
+    return provider.profileUrl ? provider.profileUrl.replace('{address}', address) : null;
+  }
+
+  return {
+    PROVIDERS,
+    getProvider,
+    formatProvider,
+    profileUrl
+  };
+});
@@ -0,0 +1,681 @@
+/**
+ * Reconciliation engine shared by the dashboard, the QA report and generate.
+ *
+ * Works on the normalized comparison data (see lib/generate.js): for one chain
+ * it pairs the protocols, positions and assets of two providers and flags the
+ * ones that disagree. Three views exist:
+ *  - reconcileChain(): asset pairing used by the dashboard's compare view
+ *  - findIssues(): per-token value gaps used by the QA report
+ *  - findPriceDisagreements(): tokens priced differently by the two providers,
+ *    across all wallets
+ * Assets are matched by token identity (see tokens.js), so wrapped/native pairs
+ * and LST wrappers such as stETH/wstETH reconcile against each other.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiReconcile`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./tokens'));
+  } else {
+    root.DefiReconcile = factory(root.DefiTokens);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Tokens) {
+  const MODES = ['token', 'fiat'];
+
+  // What disagrees in a paired asset: the balance, the price, both or neither
+  const DIVERGENCE = {
+    MATCH: 'match',
+    QUANTITY: 'quantity',
+    PRICE: 'price',
+    BOTH: 'both'
+  };
+
+  const THRESHOLDS = {
+    matchPct: 0.01, // Paired amounts within 1% count as the same position
+    equivalentValuePct: 0.02, // Equivalent tokens with an exchange rate (stETH/wstETH) match within 2% of value
+    pricePct: 0.02, // Paired prices more than 2% apart are a price mismatch
+    dustValue: 0.01, // Unpaired assets below $0.01 are hidden
+    fiatGap: 1, // Fiat mode: a protocol or asset differs when off by more than $1 ...
+    fiatPct: 0.10, // ... and by more than 10%
+    reportFiatPct: 0.01 // QA report fiat mode flags symbols off by more than $1 and 1%
+  };
+
+  // Thresholds per scope ({ chain, protocol, symbol }); rule profiles (see
+  // profiles.js) pass their own resolver in as `thresholds`
+  const defaultThresholds = () => THRESHOLDS;
+
+  // Protocols with a known, explained mismatch come from the registry's known
+  // issues (see registry.js); callers pass them in as `isKnownWarning`
+  const noKnownWarnings = () => false;
+
+  function standardizeType(rawType) {
+    if (!rawType) return 'other';
+    rawType = rawType.toLowerCase();
+    if (rawType.includes('supply') || rawType.includes('deposit') || rawType.includes('stake') || rawType.includes('lend')) return 'supply';
+    if (rawType.includes('borrow') || rawType.includes('loan') || rawType.includes('debt')) return 'borrow';
+    return 'other';
+  }
+
+  // Relative difference of two numbers, 0 when both are 0
+  function relativeDiff(a, b) {
+    return Math.abs(a - b) / (Math.max(Math.abs(a), Math.abs(b)) || 1);
+  }
+
+  // Same quantity once rounded to 2 decimals
+  function sameRoundedAmount(a, b) {
+    return Number(a.toFixed(2)) === Number(b.toFixed(2));
+  }
+
+  // Supply and debt never describe the same position; "other" (rewards, vesting,
+  // plain assets) is classified differently across providers and pairs with either
+  function typesCompatible(a, b) {
+    const typeA = standardizeType(a);
+    const typeB = standardizeType(b);
+    return typeA === typeB || typeA === 'other' || typeB === 'other';
+  }
+
+  // Cost of leaving one asset unpaired. A compatible pair costs at most
+  // 1 + 0.5 + TYPE_PENALTY, so pairing always beats two unpaired assets.
+  const UNPAIRED_COST = 1;
+  const TYPE_PENALTY = 0.05;
+  const FORBIDDEN = 1e9;
+
+  // Equivalent tokens that trade at an exchange rate (stETH vs wstETH) can only
+  // be compared by value; everything else is compared by amount first
+  function amountsComparable(l, r) {
+    return Tokens.sameAmountBasis(l, r);
+  }
+
+  function pairCost(l, r) {
+    if (!typesCompatible(l.rawType, r.rawType)) return FORBIDDEN;
+    const typePenalty = standardizeType(l.rawType) === standardizeType(r.rawType) ? 0 : TYPE_PENALTY;
+    const valueDiff = relativeDiff(l.value || 0, r.value || 0);
+    if (!amountsComparable(l, r)) return 1.5 * valueDiff + typePenalty;
+    return relativeDiff(l.amount, r.amount) + 0.5 * valueDiff + typePenalty;
+  }
+
+  /**
+   * How sure we are two assets are the same position, from 0 to 1: amount
+   * agreement weighs most, then value; a type mismatch costs 10%. Two dust
+   * positions agree whatever their amounts (1e-18 vs 0 is not a mismatch).
+   * Tokens with an exchange rate between them are scored on value alone.
+   */
+  function matchConfidence(l, r, t = THRESHOLDS) {
+    const typeScore = standardizeType(l.rawType) === standardizeType(r.rawType) ? 1 : 0.9;
+    if (Math.abs(l.value || 0) < t.dustValue && Math.abs(r.value || 0) < t.dustValue) return typeScore;
+    const amountScore = amountsComparable(l, r) ? 1 - relativeDiff(l.amount, r.amount) : 1;
+    const valueScore = 1 - relativeDiff(l.value || 0, r.value || 0) / (amountsComparable(l, r) ? 2 : 1);
+    return Math.round(amountScore * valueScore * typeScore * 100) / 100;
+  }
+
+  // Whether a paired position disagrees: by amount, or by value for tokens with an exchange rate
+  function pairDiffers(l, r, t = THRESHOLDS) {
+    const valueGap = Math.abs((l.value || 0) - (r.value || 0));
+    if (!amountsComparable(l, r)) {
+      return relativeDiff(l.value || 0, r.value || 0) > t.equivalentValuePct && valueGap > t.dustValue;
+    }
+    if (l.amount === 0 && r.amount === 0) return false;
+    // Only a diff if the value gap is more than dust
+    return relativeDiff(l.amount, r.amount) > t.matchPct && valueGap > t.dustValue;
+  }
+
+  /**
+   * Classify a paired asset as a quantity mismatch, a price mismatch, both or a
+   * match. Dust pairs always match; equivalent tokens with an exchange rate
+   * (stETH/wstETH) have no common price, so a value gap counts as quantity.
+   * `t`: the thresholds to apply (default THRESHOLDS).
+   */
+  function classifyDivergence(l, r, t = THRESHOLDS) {
+    if (Math.abs(l.value || 0) < t.dustValue && Math.abs(r.value || 0) < t.dustValue) return DIVERGENCE.MATCH;
+    if (!amountsComparable(l, r)) return pairDiffers(l, r, t) ? DIVERGENCE.QUANTITY : DIVERGENCE.MATCH;
+
+    const quantity = !(l.amount === 0 && r.amount === 0) && relativeDiff(l.amount, r.amount) > t.matchPct;
+    const price = relativeDiff(l.price || 0, r.price || 0) > t.pricePct;
+    if (quantity && price) return DIVERGENCE.BOTH;
+    if (quantity) return DIVERGENCE.QUANTITY;
+    if (price) return DIVERGENCE.PRICE;
+    return DIVERGENCE.MATCH;
+  }
+
+  // Row label of a pair; equivalent tokens show both symbols (e.g. "stETH/wstETH")
+  function pairSymbol(l, r) {
+    return l.symbol === r.symbol ? l.symbol : `${l.symbol}/${r.symbol}`;
+  }
+
+  /**
+   * Key assets are grouped by before pairing: token identity when every asset
+   * carries its contract address, else the symbol (data generated before
+   * addresses were recorded, or a provider that omits them)
+   */
+  function groupingKey(assets) {
+    const byIdentity = assets.every(a => a.address);
+    return asset => byIdentity ? Tokens.identityKey(asset) : `symbol:${asset.symbol}`;
+  }
+
+  /**
+   * Minimum-cost assignment of a square cost matrix (Hungarian algorithm)
+   * @param {number[][]} cost n x n
+   * @returns {number[]} Column assigned to each row
+   */
+  function solveAssignment(cost) {
+    const n = cost.length;
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(n + 1).fill(0);
+    const p = new Array(n + 1).fill(0); // p[j]: row matched to column j (1-based, 0 = none)
+    const way = new Array(n + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+      p[0] = i;
+      let j0 = 0;
+      const minv = new Array(n + 1).fill(Infinity);
+      const used = new Array(n + 1).fill(false);
+      do {
+        used[j0] = true;
+        const i0 = p[j0];
+        let delta = Infinity;
+        let j1 = 0;
+        for (let j = 1; j <= n; j++) {
+          if (used[j]) continue;
+          const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+          if (cur < minv[j]) {
+            minv[j] = cur;
+            way[j] = j0;
+          }
+          if (minv[j] < delta) {
+            delta = minv[j];
+            j1 = j;
+          }
+        }
+        for (let j = 0; j <= n; j++) {
+          if (used[j]) {
+            u[p[j]] += delta;
+            v[j] -= delta;
+          } else {
+            minv[j] -= delta;
+          }
+        }
+        j0 = j1;
+      } while (p[j0] !== 0);
+      do {
+        const j1 = way[j0];
+        p[j0] = p[j1];
+        j0 = j1;
+      } while (j0);
+    }
+
+    const assignment = new Array(n);
+    for (let j = 1; j <= n; j++) assignment[p[j] - 1] = j - 1;
+    return assignment;
+  }
+
+  /**
+   * Pair the assets of one token as an assignment problem: minimize the total
+   * amount/value distance over type-compatible pairs, where leaving an asset
+   * unpaired has a fixed cost. The result does not depend on input order.
+   * Unpaired assets are flagged unless they are dust.
+   * `thresholdsOf`: (symbol) => the thresholds of the token's scope.
+   */
+  function pairTokenAssets(leftAssets, rightAssets, thresholdsOf) {
+    const nl = leftAssets.length;
+    const nr = rightAssets.length;
+    const size = nl + nr;
+
+    // Rows: left assets, then one "unpaired" slot per right asset.
+    // Columns: right assets, then one "unpaired" slot per left asset.
+    const cost = [];
+    for (let i = 0; i < size; i++) {
+      const row = [];
+      for (let j = 0; j < size; j++) {
+        if (i < nl && j < nr) row.push(pairCost(leftAssets[i], rightAssets[j]));
+        else if (i < nl) row.push(j - nr === i ? UNPAIRED_COST : FORBIDDEN);
+        else if (j < nr) row.push(i - nl === j ? UNPAIRED_COST : FORBIDDEN);
+        else row.push(0);
+      }
+      cost.push(row);
+    }
+    const assignment = size > 0 ? solveAssignment(cost) : [];
+
+    const pairs = [];
+    const pairedRight = new Set();
+
+    leftAssets.forEach((lAsset, i) => {
+      const j = assignment[i];
+      if (j < nr && cost[i][j] < FORBIDDEN) {
+        const rAsset = rightAssets[j];
+        const symbol = pairSymbol(lAsset, rAsset);
+        const t = thresholdsOf(symbol);
+        pairedRight.add(j);
+        pairs.push({
+          symbol,
+          type: lAsset.rawType,
+          left: lAsset,
+          right: rAsset,
+          hasDiff: pairDiffers(lAsset, rAsset, t),
+          confidence: matchConfidence(lAsset, rAsset, t),
+          divergence: classifyDivergence(lAsset, rAsset, t)
+        });
+      } else if (Math.abs(lAsset.value || 0) >= thresholdsOf(lAsset.symbol).dustValue) {
+        // Truly unmatched (left side has it, right side does not)
+        pairs.push({ symbol: lAsset.symbol, type: lAsset.rawType, left: lAsset, right: null, hasDiff: true, confidence: null, divergence: null });
+      }
+    });
+
+    // Remaining right-side assets
+    rightAssets.forEach((rAsset, j) => {
+      if (pairedRight.has(j) || Math.abs(rAsset.value || 0) < thresholdsOf(rAsset.symbol).dustValue) return;
+      pairs.push({ symbol: rAsset.symbol, type: rAsset.rawType, left: null, right: rAsset, hasDiff: true, confidence: null, divergence: null });
+    });
+
+    return pairs;
+  }
+
+  // Fiat mode: a position within $1 or 10% matches; otherwise flag assets whose
+  // quantity (when comparable) and value both disagree. `thresholdsOf`: (symbol) =>
+  // thresholds, the protocol's own without a symbol.
+  function applyFiatMode(position, thresholdsOf) {
+    const totalDiff = Math.abs(position.leftTotal - position.rightTotal);
+    const pt = thresholdsOf();
+    if (totalDiff <= pt.fiatGap || relativeDiff(position.leftTotal, position.rightTotal) <= pt.fiatPct) {
+      position.assets.forEach(a => a.hasDiff = false);
+      position.hasDiff = false;
+      return;
+    }
+
+    position.hasDiff = true;
+    position.assets.forEach(a => {
+      const amtL = a.left ? a.left.amount : 0;
+      const amtR = a.right ? a.right.amount : 0;
+      const comparable = !(a.left && a.right) || amountsComparable(a.left, a.right);
+      if (comparable && sameRoundedAmount(amtL, amtR)) {
+        a.hasDiff = false;
+        return;
+      }
+      const valL = a.left?.value || 0;
+      const valR = a.right?.value || 0;
+      const t = thresholdsOf(a.symbol);
+      a.hasDiff = Math.abs(valL - valR) > t.fiatGap && relativeDiff(valL, valR) > t.fiatPct;
+    });
+  }
+
+  /**
+   * A normalized protocol's positions with their assets. Data generated before
+   * positions were recorded holds a single unnamed position per protocol.
+   * @returns {Array<{ meta: { id, name, pool, healthRate, value }, assets: Object[] }>}
+   */
+  function sidePositions(proto) {
+    if (!proto) return [];
+    if (!proto.positions) {
+      return [{ meta: { id: '', name: null, pool: null, healthRate: null, value: proto.value }, assets: proto.assets }];
+    }
+    const byId = {};
+    proto.positions.forEach(meta => { byId[meta.id] = { meta, assets: [] }; });
+    proto.assets.forEach(a => {
+      if (byId[a.position]) byId[a.position].assets.push(a);
+    });
+    return Object.values(byId);
+  }
+
+  /**
+   * Pool contract of a position, the market both providers name the same way
+   * (their position ids differ, e.g. DeBank's "Lending:<pool id>" and Zerion's
+   * group id). Data generated before pools were normalized may hold a DeBank pool
+   * id with a suffix after the contract, or a checksummed address.
+   * @returns {string|null}
+   */
+  function marketOf(meta) {
+    if (!meta.pool) return null;
+    const pool = String(meta.pool).toLowerCase();
+    const contract = pool.match(/^0x[0-9a-f]{40}/);
+    return contract ? contract[0] : pool;
+  }
+
+  /**
+   * Pair the positions two providers report for one protocol. Positions on the
+   * same pool contract pair up; the providers' other positions cannot be told
+   * apart, so they share one group and their assets pair across positions
+   * (as for a whole protocol). A position only one provider reports is its own group.
+   * @returns {Array<{ key, name, pool, left: Object[], right: Object[] }>} left/right: sidePositions() entries;
+   *   pool is set when the group is one pool
+   */
+  function pairPositions(leftProto, rightProto) {
+    const left = sidePositions(leftProto);
+    const right = sidePositions(rightProto);
+    const groups = [];
+    const pairedRight = new Set();
+    const restLeft = [];
+
+    left.forEach(l => {
+      const market = marketOf(l.meta);
+      const r = market ? right.find(pos => !pairedRight.has(pos) && marketOf(pos.meta) === market) : null;
+      if (!r) {
+        restLeft.push(l);
+        return;
+      }
+      pairedRight.add(r);
+      groups.push({ left: [l], right: [r] });
+    });
+    const restRight = right.filter(pos => !pairedRight.has(pos));
+    if (restLeft.length > 0 && restRight.length > 0) {
+      groups.push({ left: restLeft, right: restRight });
+    } else {
+      restLeft.forEach(l => groups.push({ left: [l], right: [] }));
+      restRight.forEach(r => groups.push({ left: [], right: [r] }));
+    }
+
+    return groups.map(group => {
+      const all = [...group.left, ...group.right];
+      const names = side => [...new Set(group[side].map(pos => pos.meta.name).filter(Boolean))].join(' / ');
+      return {
+        key: ['left', 'right'].map(side => group[side].map(pos => pos.meta.id).join('+')).join('|'),
+        name: names('left') || names('right') || null,
+        pool: all.every(pos => marketOf(pos.meta) && marketOf(pos.meta) === marketOf(all[0].meta)) ? marketOf(all[0].meta) : null,
+        left: group.left,
+        right: group.right
+      };
+    });
+  }
+
+  // Sort paired assets by value, largest first
+  const byValue = (a, b) => (b.left?.value || b.right?.value || 0) - (a.left?.value || a.right?.value || 0);
+
+  /**
+   * Pair the protocols, positions and assets two providers report for one chain
+   * @param {Object} data Chain entry of comparison_data.json ({ [providerId]: { protocols, totalValue } })
+   * @param {string} chain Registry chain key
+   * @param {Object} options
+   * @param {string} options.left Provider id shown on the left
+   * @param {string} options.right Provider id shown on the right
+   * @param {string} [options.mode] 'token' (default) or 'fiat'
+   * @param {Function} [options.isKnownWarning] (protocolName, chain) => boolean; such protocols are warnings, not diffs
+   * @param {Function} [options.thresholds] ({ chain, protocol, symbol }) => thresholds (default: THRESHOLDS everywhere)
+   * @returns {Array} Protocols { name, chain, uniqueKey, left, right, leftTotal, rightTotal, isWarning, hasDiff?,
+   *   positions: [{ key, name, pool, leftPositions, rightPositions, leftTotal, rightTotal, hasDiff?, assets }],
+   *   assets: [{ symbol, type, left, right, hasDiff, confidence, divergence }] } (assets: all positions' assets)
+   */
+  function reconcileChain(data, chain, options) {
+    const knownWarning = options.isKnownWarning || noKnownWarnings;
+    const thresholds = options.thresholds || defaultThresholds;
+    const protocolsMap = {};
+
+    [['left', options.left], ['right', options.right]].forEach(([side, providerId]) => {
+      const providerData = data[providerId] || { protocols: {} };
+      Object.values(providerData.protocols).forEach(p => {
+        const key = p.name.toLowerCase();
+        if (!protocolsMap[key]) {
+          protocolsMap[key] = { name: p.name, left: null, right: null, assets: [], chain: chain, uniqueKey: chain + p.name };
+        }
+        protocolsMap[key][side] = p;
+      });
+    });
+
+    return Object.values(protocolsMap).map(proto => {
+      proto.isWarning = knownWarning(proto.name, chain);
+      if (proto.isWarning) proto.hasDiff = false;
+      const thresholdsOf = symbol => thresholds({ chain, protocol: proto.name, symbol });
+
+      const keyOf = groupingKey([...(proto.left?.assets || []), ...(proto.right?.assets || [])]);
+      proto.positions = pairPositions(proto.left, proto.right).map(group => {
+        // Group both sides' assets by token, then pair within each token
+        const assetsByToken = {};
+        ['left', 'right'].forEach(side => {
+          group[side].forEach(pos => pos.assets.forEach(a => {
+            const key = keyOf(a);
+            if (!assetsByToken[key]) assetsByToken[key] = { left: [], right: [] };
+            assetsByToken[key][side].push({ ...a, source: side, rawType: a.type });
+          }));
+        });
+
+        const assets = [];
+        Object.values(assetsByToken).forEach(tokenGroup => {
+          assets.push(...pairTokenAssets(tokenGroup.left, tokenGroup.right, thresholdsOf));
+        });
+
+        // Position values are net (debt is negative in the normalized data)
+        const total = side => group[side].reduce((sum, pos) => sum + (pos.meta.value || 0), 0);
+        return {
+          key: group.key,
+          name: group.name,
+          pool: group.pool,
+          leftPositions: group.left.map(pos => pos.meta),
+          rightPositions: group.right.map(pos => pos.meta),
+          leftTotal: total('left'),
+          rightTotal: total('right'),
+          assets: assets.sort(byValue)
+        };
+      }).sort((a, b) => Math.max(Math.abs(b.leftTotal), Math.abs(b.rightTotal)) - Math.max(Math.abs(a.leftTotal), Math.abs(a.rightTotal)));
+      proto.assets = proto.positions.flatMap(position => position.assets);
+
+      // Protocol values are net (debt is negative in the normalized data)
+      proto.leftTotal = proto.left ? proto.left.value : 0;
+      proto.rightTotal = proto.right ? proto.right.value : 0;
+
+      if (options.mode === 'fiat' && !proto.isWarning) {
+        proto.positions.forEach(position => applyFiatMode(position, thresholdsOf));
+        proto.hasDiff = proto.positions.some(position => position.hasDiff);
+      }
+      return proto;
+    });
+  }
+
+  /**
+   * Per-token discrepancies across a whole comparison file, as listed by the QA report.
+   * Token mode flags any quantity mismatch (2 decimals); fiat mode flags value
+   * gaps over $1 and 1% unless the quantities match. Equivalent tokens with an
+   * exchange rate (stETH/wstETH) are compared by value in both modes. Tokens are
+   * summed per position group (see pairPositions), so two markets of one
+   * protocol are checked separately.
+   * @param {Object} comparisonData comparison_data.json content
+   * @param {Object} options
+   * @param {string} options.left Provider id
+   * @param {string} options.right Provider id
+   * @param {string} [options.mode] 'fiat' (default) or 'token'
+   * @param {Function} [options.isKnownWarning] (protocolName, chain) => boolean; such protocols are skipped
+   * @param {Function} [options.thresholds] ({ chain, protocol, symbol }) => thresholds (default: THRESHOLDS everywhere)
+   * @returns {Array<{ id, address, chain, protocol, position, pool, symbol, type, leftVal, rightVal, diff }>}
+   *   position/pool: the position's name and pool, null when the protocol has a single position group
+   */
+  function findIssues(comparisonData, options) {
+    const mode = options.mode || 'fiat';
+    const knownWarning = options.isKnownWarning || noKnownWarnings;
+    const thresholds = options.thresholds || defaultThresholds;
+    const issues = [];
+
+    Object.entries(comparisonData).forEach(([address, chainMap]) => {
+      Object.entries(chainMap).forEach(([chain, data]) => {
+        const leftProtocols = Object.values((data[options.left] || { protocols: {} }).protocols);
+        const rightProtocols = Object.values((data[options.right] || { protocols: {} }).protocols);
+        // Protocols match case-insensitively, like in reconcileChain
+        const protoNames = {};
+        [...leftProtocols, ...rightProtocols].forEach(p => {
+          if (!protoNames[p.name.toLowerCase()]) protoNames[p.name.toLowerCase()] = p.name;
+        });
+
+        Object.entries(protoNames).forEach(([protoKey, pName]) => {
+          if (knownWarning(pName, chain)) return;
+          const pL = leftProtocols.find(p => p.name.toLowerCase() === protoKey);
+          const pR = rightProtocols.find(p => p.name.toLowerCase() === protoKey);
+
+          const keyOf = groupingKey([...(pL ? pL.assets : []), ...(pR ? pR.assets : [])]);
+          const positions = pairPositions(pL, pR);
+          positions.forEach(position => {
+            // Issues of a protocol with several position groups name their position
+            const split = positions.length > 1;
+            const tokenMap = {};
+            ['left', 'right'].forEach(side => {
+              position[side].forEach(pos => pos.assets.forEach(a => {
+                const key = keyOf(a);
+                if (!tokenMap[key]) tokenMap[key] = { left: [], right: [] };
+                tokenMap[key][side].push(a);
+              }));
+            });
+
+            Object.values(tokenMap).forEach(group => {
+              const all = [...group.left, ...group.right];
+              const sym = [...new Set(all.map(a => a.symbol))].join('/');
+              const sum = (assets, field) => assets.reduce((acc, a) => acc + (a[field] || 0), 0);
+
+              // Net values (debt is already negative in the generated data)
+              const valL = sum(group.left, 'value');
+              const valR = sum(group.right, 'value');
+              const valueGap = Math.abs(valL - valR);
+              const t = thresholds({ chain, protocol: pName, symbol: sym });
+
+              let hasIssue;
+              if (all.every(a => amountsComparable(all[0], a))) {
+                const sameAmount = sameRoundedAmount(sum(group.left, 'amount'), sum(group.right, 'amount'));
+                hasIssue = mode === 'fiat'
+                  ? !sameAmount && valueGap > t.fiatGap && relativeDiff(valL, valR) > t.reportFiatPct
+                  : !sameAmount;
+              } else {
+                hasIssue = mode === 'fiat'
+                  ? valueGap > t.fiatGap && relativeDiff(valL, valR) > t.equivalentValuePct
+                  : valueGap > t.dustValue && relativeDiff(valL, valR) > t.equivalentValuePct;
+              }
+              if (!hasIssue) return;
+
+              issues.push({
+                id: `${address}|${chain}|${pName}|${split ? position.key + '|' : ''}${sym}`,
+                address: address,
+                chain: chain,
+                protocol: pName,
+                position: split ? position.name : null,
+                positionKey: split ? position.key : null,
+                pool: split ? position.pool : null,
+                symbol: sym,
+                type: group.left[0]?.type || group.right[0]?.type || 'unknown',
+                leftVal: valL,
+                rightVal: valR,
+                diff: valL - valR
+              });
+            });
+          });
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Tokens the two providers price differently, across every wallet. Only pairs
+   * of the same token (or 1:1 equivalents) are compared; prices are averaged
+   * over the wallets holding the token, weighted by amount.
+   * @param {Object} comparisonData comparison_data.json content
+   * @param {Object} options
+   * @param {string} options.left Provider id
+   * @param {string} options.right Provider id
+   * @param {number} [options.threshold] Relative price gap to report, for every token
+   * @param {Function} [options.isKnownWarning] (protocolName, chain) => boolean; such protocols are skipped
+   * @param {Function} [options.thresholds] ({ chain, symbol }) => thresholds; without `threshold`, a token's
+   *   pricePct is the gap to report (default THRESHOLDS.pricePct)
+   * @returns {Array<{ key, chain, symbol, leftPrice, rightPrice, priceDiffPct, wallets, amount, affectedValue }>}
+   *   Sorted by affected value: the USD gap the price difference causes (amount x price gap)
+   */
+  function findPriceDisagreements(comparisonData, options) {
+    const thresholds = options.thresholds || defaultThresholds;
+    const tokens = {};
+
+    Object.entries(comparisonData).forEach(([address, chainMap]) => {
+      Object.entries(chainMap).forEach(([chain, data]) => {
+        const chainOptions = { left: options.left, right: options.right, isKnownWarning: options.isKnownWarning, thresholds };
+        reconcileChain(data, chain, chainOptions).forEach(proto => {
+          if (proto.isWarning) return;
+          proto.assets.forEach(a => {
+            if (!a.left || !a.right || !amountsComparable(a.left, a.right)) return;
+            if (!(a.left.price > 0) || !(a.right.price > 0)) return;
+
+            const key = `${chain}|${a.left.address ? Tokens.identityKey(a.left) : 'symbol:' + a.left.symbol}`;
+            if (!tokens[key]) {
+              tokens[key] = { key, chain, symbol: a.left.symbol, wallets: new Set(), amount: 0, leftWeighted: 0, rightWeighted: 0, affectedValue: 0 };
+            }
+            const token = tokens[key];
+            const amount = Math.abs(a.right.amount);
+            token.wallets.add(address);
+            token.amount += amount;
+            token.leftWeighted += a.left.price * amount;
+            token.rightWeighted += a.right.price * amount;
+            token.affectedValue += amount * Math.abs(a.left.price - a.right.price);
+          });
+        });
+      });
+    });
+
+    return Object.values(tokens).map(token => {
+      const leftPrice = token.amount > 0 ? token.leftWeighted / token.amount : 0;
+      const rightPrice = token.amount > 0 ? token.rightWeighted / token.amount : 0;
+      return {
+        key: token.key,
+        chain: token.chain,
+        symbol: token.symbol,
+        leftPrice,
+        rightPrice,
+        priceDiffPct: relativeDiff(leftPrice, rightPrice),
+        wallets: token.wallets.size,
+        amount: token.amount,
+        affectedValue: token.affectedValue
+      };
+    })
+      .filter(token => {
+        // Prices are compared per chain and token, across protocols
+        const t = thresholds({ chain: token.chain, symbol: token.symbol });
+        const threshold = options.threshold === undefined ? t.pricePct : options.threshold;
+        return token.priceDiffPct > threshold && token.affectedValue > t.dustValue;
+      })
+      .sort((a, b) => b.affectedValue - a.affectedValue);
+  }
+
+  /**
+   * Precomputed diffs for a whole comparison file: the dashboard's flagged assets
+   * per protocol position and the QA report's issues, for one provider pair and mode
+   * @param {Object} comparisonData comparison_data.json content
+   * @param {{ left: string, right: string, mode?: string, isKnownWarning?: Function, thresholds?: Function }} options
+   * @returns {{ protocols: Array, issues: Array }} protocols: { address, chain, protocol, position, pool, leftTotal, rightTotal, assets };
+   *   position/pool are null when the protocol has a single position group
+   */
+  function diffComparison(comparisonData, options) {
+    const protocols = [];
+    Object.entries(comparisonData).forEach(([address, chainMap]) => {
+      Object.entries(chainMap).forEach(([chain, data]) => {
+        reconcileChain(data, chain, options).forEach(proto => {
+          if (proto.isWarning) return;
+          const single = proto.positions.length === 1;
+          proto.positions.forEach(position => {
+            const diffAssets = position.assets.filter(a => a.hasDiff);
+            if (diffAssets.length === 0) return;
+            protocols.push({
+              address,
+              chain,
+              protocol: proto.name,
+              position: single ? null : position.name,
+              pool: single ? null : position.pool,
+              leftTotal: position.leftTotal,
+              rightTotal: position.rightTotal,
+              assets: diffAssets.map(a => ({
+                symbol: a.symbol,
+                type: a.type,
+                confidence: a.confidence,
+                divergence: a.divergence,
+                left: a.left ? { amount: a.left.amount, value: a.left.value, type: a.left.rawType } : null,
+                right: a.right ? { amount: a.right.amount, value: a.right.value, type: a.right.rawType } : null
+              }))
+            });
+          });
+        });
+      });
+    });
+    return { protocols, issues: findIssues(comparisonData, options) };
+  }
+
+  return {
+    MODES,
+    DIVERGENCE,
+    THRESHOLDS,
+    standardizeType,
+    reconcileChain,
+    findIssues,
+    findPriceDisagreements,
+    classifyDivergence,
+    diffComparison
+  };
+});
@@ -0,0 +1,134 @@
+/**
+ * Protocol registry: canonical protocol names with the id each provider uses
+ * for them per chain, known-issue rules with a reason, owner and expiry, and
+ * allow/deny lists of token contracts for the risk classification (risk.js)
+ * and the rule profiles of comparison thresholds (profiles.js).
+ *
+ * The source is registry.yaml at the repository root; generate validates it
+ * and writes dashboard/registry.json for the dashboard pages. See
+ * lib/registry.js for loading and alias resolution in Node.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiRegistry`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./profiles'));
+  } else {
+    root.DefiRegistry = factory(root.DefiProfiles);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Profiles) {
+  const VERSION = 1;
+
+  const EMPTY_REGISTRY = { version: VERSION, protocols: [], knownIssues: [], tokens: { allow: [], deny: [] }, profiles: [] };
+
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+  /**
+   * Check a parsed registry against the current format
+   * @param {Object} registry
+   * @returns {string[]} Problems found, empty when valid
+   */
+  function validateRegistry(registry) {
+    const errors = [];
+    if (!registry || typeof registry !== 'object') return ['Registry must be an object'];
+    if (registry.version !== VERSION) {
+      errors.push(`Unsupported registry version ${registry.version} (expected ${VERSION})`);
+    }
+
+    const seenIds = {};
+    (registry.protocols || []).forEach((entry, idx) => {
+      const where = `protocols[${idx}]`;
+      if (!entry.chain) errors.push(`${where}: missing chain`);
+      if (!entry.name) errors.push(`${where}: missing name`);
+      if (!entry.ids || typeof entry.ids !== 'object') {
+        errors.push(`${where}: missing ids`);
+        return;
+      }
+      Object.entries(entry.ids).forEach(([providerId, id]) => {
+        const key = `${entry.chain}|${providerId}|${id}`;
+        if (seenIds[key]) errors.push(`${where}: ${providerId} id "${id}" on ${entry.chain} is already mapped to ${seenIds[key]}`);
+        else seenIds[key] = entry.name;
+      });
+    });
+
+    (registry.knownIssues || []).forEach((rule, idx) => {
+      const where = `knownIssues[${idx}]`;
+      ['protocol', 'reason', 'owner'].forEach(field => {
+        if (!rule[field]) errors.push(`${where}: missing ${field}`);
+      });
+      if (!DATE_PATTERN.test(rule.expires || '')) errors.push(`${where}: expires must be a YYYY-MM-DD date`);
+      if (rule.chains !== undefined && !Array.isArray(rule.chains)) errors.push(`${where}: chains must be a list`);
+    });
+
+    ['allow', 'deny'].forEach(list => {
+      ((registry.tokens || {})[list] || []).forEach((entry, idx) => {
+        const where = `tokens.${list}[${idx}]`;
+        if (!entry.chain) errors.push(`${where}: missing chain`);
+        if (!ADDRESS_PATTERN.test(entry.address || '')) errors.push(`${where}: address must be a 0x contract address`);
+        if (!entry.reason) errors.push(`${where}: missing reason`);
+      });
+    });
+
+    errors.push(...Profiles.validateProfiles(registry.profiles));
+    return errors;
+  }
+
+  /**
+   * Provider protocol id -> canonical name for one provider and chain
+   * @param {Object} registry
+   * @param {string} providerId
+   * @param {string} chain Registry chain key
+   * @returns {Object} { [providerProtocolId]: canonicalName }
+   */
+  function protocolAliases(registry, providerId, chain) {
+    const aliases = {};
+    (registry.protocols || []).forEach(entry => {
+      if (entry.chain === chain && entry.ids && entry.ids[providerId]) aliases[entry.ids[providerId]] = entry.name;
+    });
+    return aliases;
+  }
+
+  // A rule is active through the whole of its expiry day (UTC)
+  function isExpired(rule, now = new Date()) {
+    return now.toISOString().slice(0, 10) > rule.expires;
+  }
+
+  function ruleMatches(rule, protocol, chain) {
+    if (rule.protocol.toLowerCase() !== protocol.toLowerCase()) return false;
+    return !rule.chains || !chain || rule.chains.includes(chain);
+  }
+
+  /**
+   * Active known-issue rule for a protocol on a chain
+   * @param {Object} registry
+   * @param {string} protocol Canonical protocol name
+   * @param {string} [chain] Registry chain key (any chain when omitted)
+   * @param {Date} [now]
+   * @returns {Object|null} { protocol, chains?, reason, owner, expires }
+   */
+  function findKnownIssue(registry, protocol, chain, now = new Date()) {
+    return (registry.knownIssues || []).find(rule => ruleMatches(rule, protocol, chain) && !isExpired(rule, now)) || null;
+  }
+
+  /**
+   * Known-issue rules past their expiry date; their protocols are reconciled again
+   * @param {Object} registry
+   * @param {Date} [now]
+   * @returns {Object[]}
+   */
+  function expiredIssues(registry, now = new Date()) {
+    return (registry.knownIssues || []).filter(rule => isExpired(rule, now));
+  }
+
+  return {
+    VERSION,
+    EMPTY_REGISTRY,
+    validateRegistry,
+    protocolAliases,
+    isExpired,
+    findKnownIssue,
+    expiredIssues
+  };
+});
@@ -0,0 +1,177 @@
+/**
+ * QA analysis of a comparison file, shared by the QA report page
+ * (test_report.html) and the `report` command's exports.
+ *
+ * Starts from the per-token issues of findIssues() and derives the pass rate,
+ * the high-priority issues (gap over HIGH_PRIORITY_GAP), the suggested action
+ * items and the most frequently mismatched tokens. A rule profile (profiles.js)
+ * replaces these limits and the comparison tolerances.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiReport`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./reconcile'), require('./registry'), require('./profiles'));
+  } else {
+    root.DefiReport = factory(root.DefiReconcile, root.DefiRegistry, root.DefiProfiles);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Reconcile, Registry, Profiles) {
+  // Issues with a larger USD gap are high priority (default profile)
+  const HIGH_PRIORITY_GAP = Profiles.DEFAULTS.highPriorityGap;
+
+  const defaultThresholds = () => Profiles.DEFAULTS;
+
+  /**
+   * Share of wallets without any issue
+   * @param {Object} data comparison_data.json content
+   * @param {Object[]} issues findIssues() output
+   * @returns {number} Percentage, rounded
+   */
+  function passRate(data, issues) {
+    const total = Object.keys(data || {}).length;
+    if (total === 0) return 0;
+    const failed = new Set(issues.map(i => i.address)).size;
+    return Math.round(((total - failed) / total) * 100);
+  }
+
+  /**
+   * Issues with a USD gap over the high-priority limit of their scope, largest first
+   * @param {Object[]} issues findIssues() output
+   * @param {Function} [thresholds] ({ chain, protocol, symbol }) => profile thresholds
+   * @returns {Object[]}
+   */
+  function highPriorityIssues(issues, thresholds = defaultThresholds) {
+    return issues
+      .filter(i => Math.abs(i.diff) > thresholds({ chain: i.chain, protocol: i.protocol, symbol: i.symbol }).highPriorityGap)
+      .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+  }
+
+  function countBy(issues, field) {
+    const counts = {};
+    issues.forEach(i => {
+      counts[i[field]] = (counts[i[field]] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * What to look at first: protocols and chains with many high-priority issues
+   * @param {Object[]} highPriority highPriorityIssues() output
+   * @param {Function} [thresholds] ({ chain?, protocol? }) => profile thresholds; an item needs more issues
+   *   than protocolActionCount (protocols) or chainActionCount (chains)
+   * @returns {Array<{ type, critical, title, desc, count }>} Protocol items (critical) first
+   */
+  function actionItems(highPriority, thresholds = defaultThresholds) {
+    const items = [];
+
+    Object.entries(countBy(highPriority, 'protocol')).forEach(([proto, count]) => {
+      if (count > thresholds({ protocol: proto }).protocolActionCount) {
+        items.push({
+          type: '协议集成',
+          critical: true,
+          title: `检查 ${proto} 协议`,
+          desc: `发现 ${count} 个重大差异。请检查适配器或映射逻辑。`,
+          count: count
+        });
+      }
+    });
+
+    Object.entries(countBy(highPriority, 'chain')).forEach(([chain, count]) => {
+      if (count > thresholds({ chain }).chainActionCount) {
+        items.push({
+          type: '公链稳定性',
+          critical: false,
+          title: `审计 ${chain} 数据`,
+          desc: `${chain} 链失败率较高。请验证 RPC 或索引器延迟。`,
+          count: count
+        });
+      }
+    });
+
+    return items.sort((a, b) => b.critical - a.critical);
+  }
+
+  /**
+   * Tokens behind the most high-priority issues
+   * @param {Object[]} highPriority highPriorityIssues() output
+   * @param {number} [limit]
+   * @returns {Object} { [symbol]: { count, maxDiff } }, most issues first
+   */
+  function missingTokenStats(highPriority, limit = 5) {
+    const stats = {};
+    highPriority.forEach(i => {
+      if (!stats[i.symbol]) stats[i.symbol] = { count: 0, maxDiff: 0 };
+      stats[i.symbol].count++;
+      if (Math.abs(i.diff) > stats[i.symbol].maxDiff) stats[i.symbol].maxDiff = Math.abs(i.diff);
+    });
+
+    return Object.fromEntries(
+      Object.entries(stats)
+        .sort(([, a], [, b]) => b.count - a.count)
+        .slice(0, limit)
+    );
+  }
+
+  /**
+   * The full QA analysis of a comparison file for one provider pair
+   * @param {Object} data comparison_data.json content
+   * @param {Object} options
+   * @param {string} options.left Provider id
+   * @param {string} options.right Provider id
+   * @param {string} [options.mode] 'fiat' (default) or 'token'
+   * @param {Object} [options.registry] Protocol registry; protocols under an active known issue are left out
+   * @param {string} [options.profile] Rule profile of the registry (default: the built-in one)
+   * @param {number} [options.priceThreshold] Relative price gap flagged as a disagreement for every token
+   *   (default: the profile's pricePct of each token)
+   * @returns {Object} { left, right, mode, profile, thresholds, wallets, passRate, totalValueGap, priceAffectedValue,
+   *   issues, highPriorityIssues, actionItems, missingTokenStats, priceDisagreements }; thresholds: the profile's
+   *   own, before overrides
+   * @throws When the profile does not exist
+   */
+  function analyzeReport(data, options) {
+    const { left, right } = options;
+    const mode = options.mode || 'fiat';
+    const registry = options.registry || Registry.EMPTY_REGISTRY;
+    const profile = options.profile || Profiles.DEFAULT_PROFILE;
+    const isKnownWarning = (name, chain) => Boolean(Registry.findKnownIssue(registry, name, chain));
+    const thresholds = Profiles.thresholdResolver(registry, profile);
+
+    const issues = Reconcile.findIssues(data, { left, right, mode, isKnownWarning, thresholds });
+    // Price disagreements do not depend on the compare mode
+    const priceDisagreements = Reconcile.findPriceDisagreements(data, {
+      left,
+      right,
+      threshold: options.priceThreshold,
+      isKnownWarning,
+      thresholds
+    });
+    const highPriority = highPriorityIssues(issues, thresholds);
+
+    return {
+      left,
+      right,
+      mode,
+      profile,
+      thresholds: thresholds(),
+      wallets: Object.keys(data).length,
+      passRate: passRate(data, issues),
+      totalValueGap: issues.reduce((acc, curr) => acc + Math.abs(curr.diff), 0),
+      priceAffectedValue: priceDisagreements.reduce((acc, token) => acc + token.affectedValue, 0),
+      issues,
+      highPriorityIssues: highPriority,
+      actionItems: actionItems(highPriority, thresholds),
+      missingTokenStats: missingTokenStats(highPriority),
+      priceDisagreements
+    };
+  }
+
+  return {
+    HIGH_PRIORITY_GAP,
+    passRate,
+    highPriorityIssues,
+    actionItems,
+    missingTokenStats,
+    analyzeReport
+  };
+});
@@ -0,0 +1,115 @@
+/**
+ * Spam and risk classification of normalized assets.
+ *
+ * Combines provider signals (Zerion's trash/verified flags, DeBank's
+ * is_verified/is_core token fields), the allow/deny lists of token contracts
+ * in the protocol registry (`tokens` in registry.yaml) and heuristics such as
+ * a zero price on a huge amount. Every asset gets a level from LEVELS and the
+ * reasons behind it; assets at FLAG_LEVEL or above are "flagged" and can be
+ * left out of totals and diffs.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiRisk`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DefiRisk = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const LEVELS = ['none', 'low', 'medium', 'high'];
+  const FLAG_LEVEL = 'medium';
+
+  const HEURISTICS = {
+    hugeAmount: 1e6 // A zero-priced balance this large is typical of airdropped spam
+  };
+
+  // Airdrop lures put a link or a call to action in the symbol
+  const LINK_SYMBOL = /https?:|www\.|t\.me\/|\.(com|io|org|net|xyz|app|finance)\b|claim|visit/i;
+
+  const NO_RISK = { level: 'none', reasons: [] };
+
+  function listEntry(list, asset) {
+    if (!asset.address) return null;
+    return (list || []).find(entry => entry.chain === asset.chain && entry.address.toLowerCase() === asset.address) || null;
+  }
+
+  /**
+   * Risk level and reasons of one normalized asset
+   * @param {{ symbol, chain?, address?, amount, price, flags? }} asset
+   * @param {Object} [registry] Protocol registry; its `tokens.allow` / `tokens.deny` lists apply
+   * @returns {{ level: string, reasons: string[] }}
+   */
+  function assessAsset(asset, registry) {
+    const lists = (registry && registry.tokens) || {};
+    if (listEntry(lists.allow, asset)) return NO_RISK;
+
+    const found = [];
+    const add = (level, reason) => found.push({ level, reason });
+    const flags = asset.flags || {};
+
+    const denied = listEntry(lists.deny, asset);
+    if (denied) add('high', `Deny list: ${denied.reason}`);
+    if (flags.is_trash) add('high', 'Zerion: marked as trash');
+    if (flags.verified === false) add('low', 'Zerion: unverified token');
+    if (flags.is_verified === false && flags.is_core === false) add('medium', 'DeBank: unverified, non-core token');
+    else if (flags.is_verified === false) add('low', 'DeBank: unverified token');
+    if (!(asset.price > 0) && Math.abs(asset.amount || 0) >= HEURISTICS.hugeAmount) add('medium', 'Zero price with a huge amount');
+    if (LINK_SYMBOL.test(asset.symbol || '')) add('high', 'Symbol looks like a link');
+
+    if (found.length === 0) return NO_RISK;
+    const rank = Math.max(...found.map(r => LEVELS.indexOf(r.level)));
+    return { level: LEVELS[rank], reasons: found.map(r => r.reason) };
+  }
+
+  function isFlagged(risk) {
+    return LEVELS.indexOf(risk.level) >= LEVELS.indexOf(FLAG_LEVEL);
+  }
+
+  /**
+   * A chain entry of comparison_data.json without its flagged assets: protocol,
+   * position and total values are reduced by what was removed, and protocols
+   * left without assets are dropped
+   * @param {Object} chainEntry { [providerId]: { protocols, totalValue } }
+   * @param {Object} [registry]
+   * @returns {Object} Same shape
+   */
+  function withoutFlagged(chainEntry, registry) {
+    const result = {};
+    Object.entries(chainEntry).forEach(([providerId, providerData]) => {
+      const protocols = {};
+      let totalValue = providerData.totalValue;
+      Object.entries(providerData.protocols).forEach(([key, proto]) => {
+        const flagged = proto.assets.filter(a => isFlagged(assessAsset(a, registry)));
+        if (flagged.length === 0) {
+          protocols[key] = proto;
+          return;
+        }
+        const removed = flagged.reduce((sum, a) => sum + (a.value || 0), 0);
+        totalValue -= removed;
+        if (flagged.length === proto.assets.length) return;
+
+        const copy = { ...proto, value: proto.value - removed, assets: proto.assets.filter(a => !flagged.includes(a)) };
+        if (proto.positions) {
+          copy.positions = proto.positions.map(position => {
+            const positionRemoved = flagged.filter(a => a.position === position.id).reduce((sum, a) => sum + (a.value || 0), 0);
+            return { ...position, value: position.value - positionRemoved };
+          });
+        }
+        protocols[key] = copy;
+      });
+      result[providerId] = { ...providerData, protocols, totalValue };
+    });
+    return result;
+  }
+
+  return {
+    LEVELS,
+    FLAG_LEVEL,
+    HEURISTICS,
+    assessAsset,
+    isFlagged,
+    withoutFlagged
+  };
+});
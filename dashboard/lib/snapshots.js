@@ -0,0 +1,150 @@
+/**
+ * Discrepancy diff between two comparison snapshots.
+ *
+ * A discrepancy is a protocol, or an asset symbol inside a protocol, whose value
+ * differs between two providers by more than the fiat thresholds ($1 and 10%
+ * by default, or those of a rule profile, see profiles.js). Diffing two
+ * snapshots tells which discrepancies appeared, were resolved or grew since the
+ * older one.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiSnapshots`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./reconcile'));
+  } else {
+    root.DefiSnapshots = factory(root.DefiReconcile);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Reconcile) {
+  const CHANGE = {
+    NEW: 'new',
+    RESOLVED: 'resolved',
+    GROWN: 'grown'
+  };
+
+  const defaultThresholds = () => Reconcile.THRESHOLDS;
+
+  /**
+   * Whether two values differ, by the fiat thresholds of the dashboard's protocol matrix
+   * @param {number} leftValue
+   * @param {number} rightValue
+   * @param {{ fiatGap: number, fiatPct: number }} [t] Thresholds of the scope (default Reconcile.THRESHOLDS)
+   * @returns {boolean}
+   */
+  function isDiscrepancy(leftValue, rightValue, t = Reconcile.THRESHOLDS) {
+    const gap = Math.abs(leftValue - rightValue);
+    const maxVal = Math.max(Math.abs(leftValue), Math.abs(rightValue)) || 1;
+    return gap > t.fiatGap && gap / maxVal > t.fiatPct;
+  }
+
+  // Threshold scope of an item; protocol totals have no symbol
+  const scopeOf = item => ({ chain: item.chain, protocol: item.protocol, symbol: item.symbol || undefined });
+
+  function addValue(items, key, fields, side, value) {
+    if (!items[key]) items[key] = { key, ...fields, leftValue: 0, rightValue: 0 };
+    items[key][side] += value || 0;
+  }
+
+  /**
+   * Protocol and asset values of two providers, keyed by a stable discrepancy key
+   * @param {Object} data comparison_data.json content
+   * @param {string} left Provider id
+   * @param {string} right Provider id
+   * @param {Object} [options]
+   * @param {string[]} [options.addresses] Only these wallets (default: all)
+   * @param {Function} [options.ignore] (protocolName, chain) => true to skip a protocol
+   * @param {Function} [options.thresholds] ({ chain, protocol, symbol }) => thresholds (default: Reconcile.THRESHOLDS
+   *   everywhere)
+   * @returns {Object} { [key]: { key, address, chain, protocol, symbol, leftValue, rightValue, gap, isDiff } }
+   */
+  function collectItems(data, left, right, options = {}) {
+    const items = {};
+    const addresses = options.addresses || Object.keys(data || {});
+    const ignore = options.ignore || (() => false);
+    const thresholds = options.thresholds || defaultThresholds;
+
+    addresses.forEach(address => {
+      const chainMap = (data || {})[address];
+      if (!chainMap) return;
+      Object.keys(chainMap).forEach(chain => {
+        [['leftValue', left], ['rightValue', right]].forEach(([side, providerId]) => {
+          const providerData = chainMap[chain][providerId];
+          if (!providerData) return;
+          Object.values(providerData.protocols).forEach(p => {
+            if (ignore(p.name, chain)) return;
+            const protoKey = `${address}|${chain}|${p.name.toLowerCase()}`;
+            const base = { address, chain, protocol: p.name };
+            addValue(items, protoKey, { ...base, symbol: null }, side, p.value);
+            p.assets.forEach(a => {
+              addValue(items, `${protoKey}|${a.symbol}`, { ...base, symbol: a.symbol }, side, a.value);
+            });
+          });
+        });
+      });
+    });
+
+    Object.values(items).forEach(item => {
+      item.gap = Math.abs(item.leftValue - item.rightValue);
+      item.isDiff = isDiscrepancy(item.leftValue, item.rightValue, thresholds(scopeOf(item)));
+    });
+    return items;
+  }
+
+  /**
+   * Discrepancies that appeared, were resolved or grew from `previous` to `current`
+   * @param {Object} previous Older comparison data
+   * @param {Object} current Newer comparison data
+   * @param {string} left Provider id
+   * @param {string} right Provider id
+   * @param {Object} [options] See collectItems; the thresholds also tell how much a gap must grow
+   * @returns {Array} Changes sorted by gap change, each { change, key, address, chain, protocol, symbol, previous, current, delta }
+   */
+  function diffSnapshots(previous, current, left, right, options = {}) {
+    const thresholds = options.thresholds || defaultThresholds;
+    const before = collectItems(previous, left, right, options);
+    const after = collectItems(current, left, right, options);
+    const changes = [];
+
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      const prev = before[key] || null;
+      const curr = after[key] || null;
+      const wasDiff = Boolean(prev && prev.isDiff);
+      const isDiff = Boolean(curr && curr.isDiff);
+
+      let change = null;
+      if (isDiff && !wasDiff) {
+        change = CHANGE.NEW;
+      } else if (wasDiff && !isDiff) {
+        change = CHANGE.RESOLVED;
+      } else if (wasDiff && isDiff && isDiscrepancy(curr.gap, prev.gap, thresholds(scopeOf(curr))) && curr.gap > prev.gap) {
+        change = CHANGE.GROWN;
+      }
+      if (!change) return;
+
+      const { address, chain, protocol, symbol } = curr || prev;
+      const prevGap = prev ? prev.gap : 0;
+      const currGap = curr ? curr.gap : 0;
+      changes.push({
+        change,
+        key,
+        address,
+        chain,
+        protocol,
+        symbol,
+        previous: prev,
+        current: curr,
+        delta: currGap - prevGap
+      });
+    });
+
+    return changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  }
+
+  return {
+    CHANGE,
+    isDiscrepancy,
+    collectItems,
+    diffSnapshots
+  };
+});
@@ -0,0 +1,159 @@
+/**
+ * Token identity and equivalence table.
+ *
+ * Normalized assets carry `chain` (registry key) and `address` (lowercase
+ * contract address, or NATIVE for the chain's gas token). Tokens listed in one
+ * equivalence group are reconciled as the same asset:
+ *  - pegged groups (wrapped/native) are 1:1, so amounts stay comparable
+ *  - other groups (LST wrappers such as stETH/wstETH) trade at an exchange
+ *    rate, so only their values are compared
+ * A group with a `protocol` also names the protocol that issues the token.
+ * Plain wallet balances are normalized into the WALLET_PROTOCOL pseudo-protocol.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiTokens`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DefiTokens = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const NATIVE = 'native';
+
+  // Pseudo-protocol holding plain wallet balances in the normalized data
+  const WALLET_PROTOCOL = 'Wallet';
+  // Position id of wallet balances within a protocol
+  const WALLET_POSITION = 'wallet';
+
+  const EQUIVALENCES = [
+    {
+      id: 'eth',
+      symbol: 'ETH',
+      pegged: true,
+      members: [
+        ['ethereum', NATIVE], ['ethereum', '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2'], // WETH
+        ['optimism', NATIVE], ['optimism', '0x4200000000000000000000000000000000000006'],
+        ['base', NATIVE], ['base', '0x4200000000000000000000000000000000000006'],
+        ['arbitrum', NATIVE], ['arbitrum', '0x82af49447d8a07e3bd95bd0d56f35241523fbab1'],
+        ['linea', NATIVE], ['linea', '0xe5d7c2a44ffddf6b295a15c148167daaaf5cf34f'],
+        ['scroll', NATIVE], ['scroll', '0x5300000000000000000000000000000000000004'],
+        ['zksync-era', NATIVE], ['zksync-era', '0x5aea5775959fbc2557cc8789bc1bf90a239d9a91']
+      ]
+    },
+    {
+      id: 'bnb',
+      symbol: 'BNB',
+      pegged: true,
+      members: [['binance-smart-chain', NATIVE], ['binance-smart-chain', '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c']]
+    },
+    {
+      id: 'pol',
+      symbol: 'POL',
+      pegged: true,
+      members: [['polygon', NATIVE], ['polygon', '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270']] // WPOL (formerly WMATIC)
+    },
+    {
+      id: 'ftm',
+      symbol: 'FTM',
+      pegged: true,
+      members: [['fantom', NATIVE], ['fantom', '0x21be370d5312f44cb42ce377bc9b8a0cef1a4c83']]
+    },
+    {
+      id: 'avax',
+      symbol: 'AVAX',
+      pegged: true,
+      members: [['avalanche', NATIVE], ['avalanche', '0xb31f66aa3c1e785363f0875a1b74e27b85fd66c7']]
+    },
+    {
+      id: 'steth',
+      symbol: 'stETH',
+      pegged: false,
+      protocol: 'Lido',
+      members: [
+        ['ethereum', '0xae7ab96520de3a18e5e111b5eaab095312d7fe84'], // stETH
+        ['ethereum', '0x7f39c581f595b53c5cb19bd0b3f8da6c935e2ca0'] // wstETH
+      ]
+    },
+    {
+      id: 'eeth',
+      symbol: 'eETH',
+      pegged: false,
+      protocol: 'ether.fi',
+      members: [
+        ['ethereum', '0x35fa164735182de50811e8e2e824cfb9b6118ac2'], // eETH
+        ['ethereum', '0xcd5fe23c85820f7b72d0926fc9b05b43e359b7ee'] // weETH
+      ]
+    },
+    {
+      id: 'reth',
+      symbol: 'rETH',
+      pegged: false,
+      protocol: 'Rocket Pool',
+      members: [['ethereum', '0xae78736cd615f374d3085123a210448e74fc6393']]
+    }
+  ];
+
+  const tokenKey = (chain, address) => `${chain}:${address}`;
+
+  const byToken = {};
+  EQUIVALENCES.forEach(group => {
+    group.members.forEach(([chain, address]) => {
+      const key = tokenKey(chain, address);
+      if (byToken[key]) throw new Error(`Token equivalences: ${key} is listed twice`);
+      byToken[key] = group;
+    });
+  });
+
+  /**
+   * Normalize a provider's token reference to an address
+   * @param {string|null|undefined} address Contract address; empty for the native token
+   * @returns {string} Lowercase address or NATIVE
+   */
+  function normalizeAddress(address) {
+    return address ? String(address).toLowerCase() : NATIVE;
+  }
+
+  function equivalenceGroup(chain, address) {
+    if (!chain || !address) return null;
+    return byToken[tokenKey(chain, address)] || null;
+  }
+
+  // Protocol issuing a token, e.g. 'Lido' for wstETH, or null
+  function issuingProtocol(chain, address) {
+    const group = equivalenceGroup(chain, address);
+    return (group && group.protocol) || null;
+  }
+
+  /**
+   * Key under which an asset is reconciled: its equivalence group, else its
+   * chain and address. Assets without an address fall back to their symbol.
+   * @param {{ symbol: string, chain?: string, address?: string }} asset
+   * @returns {string}
+   */
+  function identityKey(asset) {
+    if (!asset.address) return `symbol:${asset.symbol}`;
+    const group = equivalenceGroup(asset.chain, asset.address);
+    return group ? `group:${group.id}` : tokenKey(asset.chain, asset.address);
+  }
+
+  // Whether two assets' amounts are directly comparable (same token, or 1:1 equivalents)
+  function sameAmountBasis(a, b) {
+    if (!a.address || !b.address || (a.chain === b.chain && a.address === b.address)) return true;
+    const group = equivalenceGroup(a.chain, a.address);
+    return Boolean(group && group.pegged && group === equivalenceGroup(b.chain, b.address));
+  }
+
+  return {
+    NATIVE,
+    WALLET_PROTOCOL,
+    WALLET_POSITION,
+    EQUIVALENCES,
+    normalizeAddress,
+    equivalenceGroup,
+    issuingProtocol,
+    identityKey,
+    sameAmountBasis
+  };
+});
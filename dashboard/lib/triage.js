@@ -0,0 +1,188 @@
+/**
+ * Triage of individual discrepancies: a status, note, assignee and link per
+ * discrepancy, e.g. "reported to Zerion, ticket X" or "expected, DeBank counts
+ * rewards differently".
+ *
+ * A discrepancy is keyed by wallet, chain, protocol, symbol and asset type, plus
+ * the position in protocols with several positions (see pairPositions() in
+ * reconcile.js), so its triage carries over to later runs and snapshots. The store is
+ * dashboard/triage.json, edited through `defi-compare serve`; on static hosting
+ * the dashboard pages keep their edits in localStorage instead.
+ *
+ * Loaded with require() in Node and with a <script> tag in the browser, where
+ * it is exposed as `window.DefiTriage`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DefiTriage = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VERSION = 1;
+
+  // localStorage key of the store when the pages are not served by `defi-compare serve`
+  const STORAGE_KEY = 'defi-compare.triage';
+
+  const STATUS = {
+    OPEN: 'open',
+    ACKNOWLEDGED: 'acknowledged', // Seen, being looked at
+    REPORTED: 'reported', // Reported to the provider, see the link
+    EXPECTED: 'expected' // Not a bug, e.g. the providers count rewards differently
+  };
+
+  const STATUS_LABELS = {
+    open: '待处理 (Open)',
+    acknowledged: '已确认 (Acknowledged)',
+    reported: '已上报 (Reported)',
+    expected: '预期差异 (Expected)'
+  };
+
+  const TEXT_FIELDS = ['note', 'assignee', 'link'];
+
+  const EMPTY_STORE = { version: VERSION, items: {} };
+
+  /**
+   * Stable key of a discrepancy: address|chain|protocol|symbol|type, then |position when there is one
+   * @param {{ address: string, chain: string, protocol: string, symbol: string, type?: string, positionKey?: string }} item
+   *   A findIssues() issue or a dashboard asset row with its wallet, chain, protocol and, in a protocol with
+   *   several positions, the key of its position
+   * @returns {string}
+   */
+  function triageKey(item) {
+    const parts = [
+      item.address.toLowerCase(),
+      item.chain,
+      item.protocol.toLowerCase(),
+      item.symbol,
+      item.type || 'unknown'
+    ];
+    // Position keys pair both sides' position ids as "left|right"
+    if (item.positionKey) parts.push(item.positionKey.replace(/\|/g, '/'));
+    return parts.join('|');
+  }
+
+  /**
+   * @param {Object} store
+   * @param {Object} item See triageKey
+   * @returns {Object|null} { status, note, assignee, link, updatedAt }
+   */
+  function findEntry(store, item) {
+    return ((store && store.items) || {})[triageKey(item)] || null;
+  }
+
+  /**
+   * Whether someone has looked at the discrepancy: any status but open
+   * @param {Object|null} entry
+   * @returns {boolean}
+   */
+  function isAcknowledged(entry) {
+    return Boolean(entry && entry.status !== STATUS.OPEN);
+  }
+
+  /**
+   * Check an edit of an entry
+   * @param {Object} changes Any of status, note, assignee and link
+   * @returns {string[]} Problems found, empty when valid
+   */
+  function validateChanges(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return ['changes must be an object'];
+    const errors = [];
+    Object.entries(changes).forEach(([field, value]) => {
+      if (field === 'status') {
+        if (!Object.values(STATUS).includes(value)) errors.push(`status must be one of ${Object.values(STATUS).join(', ')}`);
+      } else if (!TEXT_FIELDS.includes(field)) {
+        errors.push(`unknown field "${field}"`);
+      } else if (value !== null && typeof value !== 'string') {
+        errors.push(`${field} must be text`);
+      } else if (field === 'link' && value && !/^https?:\/\//i.test(value.trim())) {
+        errors.push('link must be an http(s) URL');
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * The store with one entry changed. An entry left open without note,
+   * assignee or link is removed.
+   * @param {Object} store
+   * @param {string} key triageKey() output
+   * @param {Object} changes validateChanges() checked
+   * @param {Date} [now]
+   * @returns {Object} A new store
+   */
+  function setEntry(store, key, changes, now = new Date()) {
+    const items = { ...((store && store.items) || {}) };
+    const entry = { status: STATUS.OPEN, note: '', assignee: '', link: '', ...items[key] };
+    if (changes.status) entry.status = changes.status;
+    TEXT_FIELDS.forEach(field => {
+      if (field in changes) entry[field] = (changes[field] || '').trim();
+    });
+    entry.updatedAt = now.toISOString();
+
+    if (entry.status === STATUS.OPEN && TEXT_FIELDS.every(field => !entry[field])) {
+      delete items[key];
+    } else {
+      items[key] = entry;
+    }
+    return { version: VERSION, items };
+  }
+
+  /**
+   * The store of a dashboard page: the shared one when `defi-compare serve` answers
+   * /api/triage, else the browser's copy, else a triage.json served as a static file
+   * @param {Function} fetchFn window.fetch
+   * @param {Storage} storage window.localStorage
+   * @returns {Promise<{ store: Object, shared: boolean }>} shared: edits go through the API
+   */
+  async function loadStore(fetchFn, storage) {
+    const response = await fetchFn('./api/triage').catch(() => null);
+    if (response && response.ok) return { store: await response.json(), shared: true };
+    const stored = storage.getItem(STORAGE_KEY);
+    if (stored) return { store: JSON.parse(stored), shared: false };
+    const file = await fetchFn('./triage.json').catch(() => null);
+    return { store: file && file.ok ? await file.json() : EMPTY_STORE, shared: false };
+  }
+
+  /**
+   * Save an edit from a dashboard page, through the API or into the browser's copy
+   * @param {string} key triageKey() output
+   * @param {Object} changes
+   * @param {{ store: Object, shared: boolean, fetchFn: Function, storage: Storage }} target loadStore() result
+   *   with the same fetchFn and storage
+   * @returns {Promise<Object>} The updated store; rejects with the problems found
+   */
+  async function saveEntry(key, changes, target) {
+    const errors = validateChanges(changes);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    if (!target.shared) {
+      const store = setEntry(target.store, key, changes);
+      target.storage.setItem(STORAGE_KEY, JSON.stringify(store));
+      return store;
+    }
+    const fetchFn = target.fetchFn;
+    const response = await fetchFn('./api/triage/' + encodeURIComponent(key), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error);
+    return body;
+  }
+
+  return {
+    VERSION,
+    STORAGE_KEY,
+    STATUS,
+    STATUS_LABELS,
+    EMPTY_STORE,
+    triageKey,
+    findEntry,
+    isAcknowledged,
+    validateChanges,
+    setEntry,
+    loadStore,
+    saveEntry
+  };
+});
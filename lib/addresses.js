@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { keccak_256: keccak256 } = require('@noble/hashes/sha3');
+const { bytesToHex, utf8ToBytes } = require('@noble/hashes/utils');
+const chains = require('../dashboard/lib/chains');
+const { validateAddressBook, normalizeAddressBook, enabledEntries, isHexAddress, isEnsName } = require('../dashboard/lib/addressbook');
+const { resolveName } = require('./ens');
+
+const DEFAULT_ADDRESS_FILE = path.join(__dirname, '../addresses.yaml');
+const ADDRESS_BOOK_FILENAME = 'addresses.json';
+
+// Strings, booleans and decimal numbers only: YAML's integer type would read
+// 0x addresses as hex numbers
+const ADDRESS_BOOK_SCHEMA = yaml.FAILSAFE_SCHEMA.extend({ implicit: [yaml.types.null, yaml.types.bool, yaml.types.float] });
+
+/**
+ * EIP-55 mixed-case checksum form of an address
+ * @param {string} address 0x + 40 hex digits, any case
+ * @returns {string}
+ */
+function toChecksumAddress(address) {
+  const hex = address.slice(2).toLowerCase();
+  const hash = bytesToHex(keccak256(utf8ToBytes(hex)));
+  return '0x' + [...hex].map((c, i) => (parseInt(hash[i], 16) >= 8 ? c.toUpperCase() : c)).join('');
+}
+
+/**
+ * Check a hex address: all-lowercase and all-uppercase ones are accepted as
+ * is, mixed-case ones must carry a valid EIP-55 checksum
+ * @param {string} value
+ * @returns {{ address: string }|{ error: string }} Lowercase address, or why it was rejected
+ */
+function checkAddress(value) {
+  if (!isHexAddress(value)) return { error: 'not a 0x address with 40 hex digits' };
+  const digits = value.slice(2);
+  const mixedCase = digits !== digits.toLowerCase() && digits !== digits.toUpperCase();
+  if (mixedCase && toChecksumAddress(value) !== value) {
+    return { error: `invalid EIP-55 checksum (expected ${toChecksumAddress(value)})` };
+  }
+  return { address: value.toLowerCase() };
+}
+
+/**
+ * Load and validate the address book. Chain overrides may use any chain id
+ * the registry knows and are stored as registry keys. Addresses are returned
+ * as written: ingestAddressBook() checks and resolves them.
+ * @param {string} [filePath]
+ * @returns {Array<{ address, label, groups, enabled, chains, order }>} In sort order
+ * @throws When the file is missing or not an address book
+ */
+function loadAddressBook(filePath = DEFAULT_ADDRESS_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Data file not found: ${filePath}`);
+  }
+
+  const book = yaml.load(fs.readFileSync(filePath, 'utf8'), { schema: ADDRESS_BOOK_SCHEMA });
+  const errors = validateAddressBook(book);
+  (Array.isArray(book) ? book : []).forEach((entry, idx) => {
+    (entry && Array.isArray(entry.chains) ? entry.chains : []).forEach(chain => {
+      if (!chains.findChain(String(chain))) errors.push(`[${idx}]: unknown chain "${chain}"`);
+    });
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid address book ${filePath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return normalizeAddressBook(book).map(entry => ({
+    ...entry,
+    chains: entry.chains && entry.chains.map(chain => chains.findChain(chain).key)
+  }));
+}
+
+/**
+ * Check every address of the book before it is used: hex addresses must be
+ * well-formed (with a valid checksum when mixed-case), ENS names are resolved
+ * through an RPC node, and later entries for an address already in the book
+ * are dropped.
+ * @param {Object[]} entries loadAddressBook() output
+ * @param {Object} [options]
+ * @param {string} [options.rpcUrl] Node for ENS names (default: ENS_RPC_URL)
+ * @returns {Promise<{ entries: Object[], rejected: Object[], duplicates: Object[] }>}
+ *   entries: lowercase addresses, with `ens` set on resolved names;
+ *   rejected: { input, reason }; duplicates: { input, duplicateOf }
+ */
+async function ingestAddressBook(entries, options = {}) {
+  const accepted = [];
+  const rejected = [];
+  const duplicates = [];
+  const seen = new Map();
+
+  for (const entry of entries) {
+    const input = entry.address;
+    let result;
+    if (isEnsName(input)) {
+      try {
+        result = { address: await resolveName(input, { rpcUrl: options.rpcUrl }), ens: input.toLowerCase() };
+      } catch (e) {
+        result = { error: `ENS name not resolved: ${e.message}` };
+      }
+    } else {
+      result = checkAddress(input);
+    }
+
+    if (result.error) {
+      rejected.push({ input, reason: result.error });
+    } else if (seen.has(result.address)) {
+      duplicates.push({ input, duplicateOf: seen.get(result.address) });
+    } else {
+      seen.set(result.address, input);
+      accepted.push(result.ens ? { ...entry, address: result.address, ens: result.ens } : { ...entry, address: result.address });
+    }
+  }
+  return { entries: accepted, rejected, duplicates };
+}
+
+/**
+ * Enabled wallets of the address book, checked and resolved
+ * @param {string} [filePath]
+ * @param {{ rpcUrl?: string }} [options]
+ * @returns {Promise<string[]>} Lowercase addresses in sort order
+ * @throws When an entry is rejected
+ */
+async function loadAddresses(filePath = DEFAULT_ADDRESS_FILE, options = {}) {
+  const { entries, rejected } = await ingestAddressBook(loadAddressBook(filePath), options);
+  if (rejected.length > 0) {
+    throw new Error(`Rejected address book entries:\n  ${rejected.map(r => `${r.input}: ${r.reason}`).join('\n  ')}`);
+  }
+  return enabledEntries(entries).map(entry => entry.address);
+}
+
+/**
+ * Chains to process for a wallet: its override from the address book, within
+ * the chains asked for
+ * @param {Object[]} book Address book entries
+ * @param {string} address
+ * @param {string[]} chainKeys
+ * @returns {string[]}
+ */
+function walletChains(book, address, chainKeys) {
+  const entry = book.find(e => e.address.toLowerCase() === address.toLowerCase());
+  if (!entry || !entry.chains) return chainKeys;
+  return chainKeys.filter(key => entry.chains.includes(key));
+}
+
+module.exports = {
+  DEFAULT_ADDRESS_FILE,
+  ADDRESS_BOOK_FILENAME,
+  toChecksumAddress,
+  checkAddress,
+  loadAddressBook,
+  ingestAddressBook,
+  loadAddresses,
+  walletChains
+};
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { OUTPUT_FILENAME } = require('./generate');
+const { REGISTRY_FILENAME } = require('./registry');
+const { SNAPSHOT_DIRNAME, listSnapshots } = require('./snapshots');
+const { loadTriage, updateTriage } = require('./triage');
+const { readJson } = require('./utils');
+const Profiles = require('../dashboard/lib/profiles');
+const Registry = require('../dashboard/lib/registry');
+const { aggregatePortfolio } = require('../dashboard/lib/portfolio');
+const { withoutFlagged } = require('../dashboard/lib/risk');
+
+/**
+ * JSON API over the generated dashboard files, served by `serve` under /api/
+ * so the dashboard can load one wallet at a time instead of the whole
+ * comparison_data.json:
+ *
+ *   GET  /api/addresses                  wallets with their chains, and every provider in the data
+ *   GET  /api/wallets/:address           one wallet's chains ({ [chain]: { [providerId]: ... } })
+ *   GET  /api/wallets/:address/:chain    one chain of a wallet
+ *   GET  /api/stats                      portfolio totals by chain and protocol (see dashboard/lib/portfolio.js)
+ *   GET  /api/snapshots                  the snapshot index
+ *   POST /api/wallets/:address/refetch   fetch and regenerate one wallet in the background (JSON request, same origin)
+ *   GET  /api/jobs/:id                   a refetch job
+ *   GET  /api/jobs/:id/events            its output as Server-Sent Events
+ *   GET  /api/triage                     the triage store (see dashboard/lib/triage.js)
+ *   PUT  /api/triage/:key                change one entry: JSON with any of status, note, assignee and link
+ *
+ * The read endpoints take `?snapshot=<id>` to read a stored snapshot instead of the latest run.
+ */
+
+const CLI_PATH = path.join(__dirname, '../bin/defi-compare.js');
+
+// Parsed JSON files, reread when they change on disk
+function fileCache() {
+  const entries = {};
+  return filePath => {
+    if (!fs.existsSync(filePath)) return null;
+    const mtime = fs.statSync(filePath).mtimeMs;
+    if (!entries[filePath] || entries[filePath].mtime !== mtime) {
+      entries[filePath] = { mtime, data: readJson(filePath) };
+    }
+    return entries[filePath].data;
+  };
+}
+
+// Run the CLI with `args`, reporting each output line
+function runCli(args, onLine) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI_PATH, ...args], { env: { ...process.env, FORCE_COLOR: '0' } });
+    [child.stdout, child.stderr].forEach(stream => {
+      let rest = '';
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => {
+        const lines = (rest + chunk).split('\n');
+        rest = lines.pop();
+        lines.filter(line => line.trim()).forEach(onLine);
+      });
+      stream.on('end', () => {
+        if (rest.trim()) onLine(rest);
+      });
+    });
+    child.on('error', reject);
+    child.on('close', resolve);
+  });
+}
+
+/**
+ * Default refetch: `fetch` then `generate` for one wallet, as child processes.
+ * A fetch that finishes with failed chains (exit code 3) is still generated.
+ * @param {string} address
+ * @param {{ rootDir: string, onProgress: Function }} options onProgress(line) for every output line
+ * @returns {Promise<void>} Rejects when a step fails
+ */
+async function runRefetch(address, { rootDir, onProgress }) {
+  const fetchCode = await runCli(['fetch', '--address', address], onProgress);
+  if (fetchCode !== 0 && fetchCode !== 3) throw new Error(`fetch exited with code ${fetchCode}`);
+  const generateCode = await runCli(['generate', '--address', address, '--out', rootDir], onProgress);
+  if (generateCode !== 0) throw new Error(`generate exited with code ${generateCode}`);
+}
+
+const publicJob = job => ({
+  id: job.id,
+  address: job.address,
+  status: job.status,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  error: job.error
+});
+
+const MAX_BODY_LENGTH = 64 * 1024;
+
+// Finished refetch jobs are kept for their events for an hour, and at most this many
+const JOB_TTL_MS = 60 * 60 * 1000;
+const MAX_FINISHED_JOBS = 20;
+
+/**
+ * Why a request that changes state is refused, or null. Only the dashboard's own
+ * page may start one: a JSON content type cannot be sent cross-origin without a
+ * CORS preflight (which the server does not answer), and a browser's Origin
+ * header must name this server.
+ * @returns {{ status: number, error: string }|null}
+ */
+function refuseForeignRequest(req) {
+  const origin = req.headers.origin;
+  if (origin !== undefined && originHost(origin) !== req.headers.host) {
+    return { status: 403, error: `Requests from ${origin} are not allowed` };
+  }
+  if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    return { status: 415, error: 'Content-Type must be application/json' };
+  }
+  return null;
+}
+
+// Host of an Origin header; null for an opaque ("null") or malformed origin
+function originHost(origin) {
+  try {
+    return new URL(origin).host;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Request body parsed as JSON; rejects a body over 64 KB, without reading the rest, or that is not JSON
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    const onData = chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_LENGTH) {
+        body = '';
+        req.removeListener('data', onData);
+        req.removeListener('end', onEnd);
+        req.resume();
+        reject(new Error('Request body too large'));
+      }
+    };
+    const onEnd = () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        reject(new Error('Request body must be JSON'));
+      }
+    };
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', reject);
+  });
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Request handler for /api/ paths
+ * @param {Object} options
+ * @param {string} options.rootDir Dashboard directory holding the generated files
+ * @param {Function} [options.refetch] (address, { rootDir, onProgress }) => Promise (default: runRefetch)
+ * @returns {Function} (req, res, url) => void
+ */
+function createApiHandler(options) {
+  const rootDir = options.rootDir;
+  const refetch = options.refetch || runRefetch;
+  const load = fileCache();
+  const jobs = new Map();
+  let nextJobId = 1;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-cache' });
+    res.end(JSON.stringify(body));
+  };
+
+  // comparison_data.json, or a snapshot of it; null for an unknown snapshot
+  const comparisonData = snapshotId => {
+    if (!snapshotId) return load(path.join(rootDir, OUTPUT_FILENAME)) || {};
+    const snapshot = listSnapshots(rootDir).find(snap => snap.id === snapshotId);
+    return snapshot ? load(path.join(rootDir, SNAPSHOT_DIRNAME, snapshot.file)) : null;
+  };
+
+  // Wallet key of the data (older files may keep checksummed keys)
+  const walletKey = (data, address) => Object.keys(data).find(key => key.toLowerCase() === address.toLowerCase());
+
+  // Drop finished jobs past their TTL, then the oldest beyond the limit (the map keeps start order)
+  function pruneJobs() {
+    const finished = [...jobs.values()].filter(job => job.status !== 'running');
+    finished.forEach((job, i) => {
+      if (Date.now() - Date.parse(job.finishedAt) > JOB_TTL_MS || i < finished.length - MAX_FINISHED_JOBS) jobs.delete(job.id);
+    });
+  }
+
+  function startRefetch(address) {
+    const running = [...jobs.values()].find(job => job.address === address && job.status === 'running');
+    if (running) return running;
+    pruneJobs();
+
+    const job = { id: String(nextJobId++), address, status: 'running', startedAt: new Date().toISOString(), finishedAt: null, error: null, log: [], listeners: new Set() };
+    jobs.set(job.id, job);
+    const emit = (event, data) => job.listeners.forEach(res => sendEvent(res, event, data));
+    const onProgress = line => {
+      job.log.push(line);
+      emit('progress', line);
+    };
+    const finish = (status, error) => {
+      Object.assign(job, { status, error, finishedAt: new Date().toISOString() });
+      emit('done', publicJob(job));
+      job.listeners.forEach(res => res.end());
+      job.listeners.clear();
+    };
+    Promise.resolve()
+      .then(() => refetch(address, { rootDir, onProgress }))
+      .then(() => finish('done', null), e => finish('failed', e.message));
+    return job;
+  }
+
+  // Replay the job's output so far, then stream the rest until it finishes
+  function streamJob(req, res, job) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+    job.log.forEach(line => sendEvent(res, 'progress', line));
+    if (job.status !== 'running') {
+      sendEvent(res, 'done', publicJob(job));
+      res.end();
+      return;
+    }
+    job.listeners.add(res);
+    req.on('close', () => job.listeners.delete(res));
+  }
+
+  return (req, res, url) => {
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).slice(1).map(decodeURIComponent);
+    } catch (e) {
+      return send(res, 400, { error: `Malformed path ${url.pathname}` });
+    }
+    const query = url.searchParams;
+    const route = `${req.method} /${parts[0] || ''}`;
+
+    if (route === 'POST /wallets' && parts.length === 3 && parts[2] === 'refetch') {
+      const refused = refuseForeignRequest(req);
+      if (refused) return send(res, refused.status, { error: refused.error });
+      const data = comparisonData(null);
+      const key = walletKey(data, parts[1]);
+      if (!key) return send(res, 404, { error: `Unknown wallet ${parts[1]}` });
+      return send(res, 202, publicJob(startRefetch(key)));
+    }
+    if (route === 'GET /jobs' && (parts.length === 2 || (parts.length === 3 && parts[2] === 'events'))) {
+      const job = jobs.get(parts[1]);
+      if (!job) return send(res, 404, { error: `Unknown job ${parts[1]}` });
+      if (parts.length === 3) return streamJob(req, res, job);
+      return send(res, 200, publicJob(job));
+    }
+    if (route === 'GET /triage' && parts.length === 1) {
+      return send(res, 200, loadTriage(rootDir));
+    }
+    if (route === 'PUT /triage' && parts.length === 2) {
+      return readJsonBody(req)
+        .then(changes => send(res, 200, updateTriage(rootDir, parts[1], changes)))
+        .catch(e => send(res, 400, { error: e.message }));
+    }
+    if (route === 'GET /snapshots' && parts.length === 1) {
+      return send(res, 200, { snapshots: listSnapshots(rootDir) });
+    }
+    if (req.method !== 'GET' || !['addresses', 'wallets', 'stats'].includes(parts[0])) {
+      return send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    }
+
+    const data = comparisonData(query.get('snapshot'));
+    if (!data) return send(res, 404, { error: `Unknown snapshot ${query.get('snapshot')}` });
+
+    if (parts[0] === 'addresses' && parts.length === 1) {
+      const providers = new Set();
+      const addresses = Object.entries(data).map(([address, chainMap]) => {
+        Object.values(chainMap).forEach(entry => Object.keys(entry).forEach(id => providers.add(id)));
+        return { address, chains: Object.keys(chainMap) };
+      });
+      return send(res, 200, { snapshot: query.get('snapshot') || null, providers: [...providers], addresses });
+    }
+    if (parts[0] === 'wallets' && (parts.length === 2 || parts.length === 3)) {
+      const key = walletKey(data, parts[1]);
+      if (!key) return send(res, 404, { error: `Unknown wallet ${parts[1]}` });
+      if (parts.length === 2) return send(res, 200, data[key]);
+      if (!data[key][parts[2]]) return send(res, 404, { error: `No ${parts[2]} data for ${parts[1]}` });
+      return send(res, 200, data[key][parts[2]]);
+    }
+    if (parts[0] === 'stats' && parts.length === 1) {
+      // Same options as the dashboard's Portfolio view; known issues come from the generated registry
+      const registry = load(path.join(rootDir, REGISTRY_FILENAME)) || Registry.EMPTY_REGISTRY;
+      const list = name => (query.get(name) ? query.get(name).split(',').filter(Boolean) : null);
+      const addresses = (list('addresses') || Object.keys(data)).map(address => walletKey(data, address)).filter(Boolean);
+      let thresholds;
+      try {
+        thresholds = Profiles.thresholdResolver(registry, query.get('profile') || undefined);
+      } catch (e) {
+        return send(res, 400, { error: e.message });
+      }
+      return send(res, 200, aggregatePortfolio(data, addresses, {
+        left: query.get('left') || 'debank',
+        right: query.get('right') || 'zerion',
+        chains: list('chains') || undefined,
+        transform: query.get('flagged') === 'exclude' ? entry => withoutFlagged(entry, registry) : undefined,
+        isKnownWarning: (name, chain) => Boolean(Registry.findKnownIssue(registry, name, chain)),
+        thresholds
+      }));
+    }
+    return send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+  };
+}
+
+module.exports = {
+  createApiHandler,
+  runRefetch
+};
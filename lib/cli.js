@@ -0,0 +1,508 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const chains = require('../dashboard/lib/chains');
+const { formatProvider } = require('../dashboard/lib/providers');
+const { getProvider, listProviders } = require('./providers');
+const { loadAddressBook, ingestAddressBook, DEFAULT_ADDRESS_FILE } = require('./addresses');
+const { enabledEntries } = require('../dashboard/lib/addressbook');
+const { runFetch } = require('./fetch');
+const { RunManifest, RETRY_STATUSES } = require('./manifest');
+const { generateComparison, DEFAULT_OUTPUT_DIR, OUTPUT_FILENAME } = require('./generate');
+const { analyzeReport } = require('../dashboard/lib/report');
+const { DEFAULT_PROFILE, findProfile, listProfiles, thresholdResolver } = require('../dashboard/lib/profiles');
+const { loadRegistry } = require('./registry');
+const {
+  EXPORT_FORMATS,
+  summarizeComparison,
+  formatSummary,
+  formatIssuesCsv,
+  formatReportJson,
+  formatReportMarkdown,
+  parseFailOn,
+  checkThresholds
+} = require('./report');
+const { DEFAULT_HOST, startServer } = require('./server');
+const { parseSink, createSink, formatAlert } = require('./alerts');
+const { parseSchedule } = require('./cron');
+const { DEFAULT_STATE_FILE, DEFAULT_COOLDOWN_MS, runCheck, startMonitor } = require('./monitor');
+const { attachRecorder, startMockServer, DEFAULT_MOCK_PORT } = require('./replay');
+const { readJson, parseDuration } = require('./utils');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../test/fixtures/api');
+
+// Process exit codes, stable so CI can branch on them
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // Unexpected failure
+  USAGE: 2, // Bad command, flag or value
+  PARTIAL: 3, // Finished, but some addresses or chains failed, were truncated or unavailable
+  THRESHOLD: 4 // report: a --fail-on threshold was breached
+};
+
+const USAGE = `Usage: defi-compare <command> [options]
+
+Commands:
+  fetch [provider...]   Fetch raw portfolio data (default: every provider)
+  generate              Normalize raw data into comparison_data.json
+  report                Print a per-wallet summary of comparison_data.json, or export the QA analysis
+  serve                 Serve the dashboard and its JSON API on http://<host>:<port>/
+  mock                  Serve recorded API responses as a mock DeBank/Zerion API
+  monitor               Fetch, generate and analyze on a schedule; alert on new or growing gaps
+
+Options:
+  -f, --file <path>       Address book (default: addresses.yaml)
+      --rpc <url>         Ethereum RPC node resolving ENS names (default: ENS_RPC_URL or http://127.0.0.1:8545)
+  -a, --address <addr>    Address(es) or ENS name(s) to process instead of the whole file; repeatable or comma-separated
+  -c, --chain <chain>     Chain(s) to process: registry key, provider chain id or EVM chain id
+  -p, --providers <ids>   Providers to use, e.g. debank,zerion
+  -o, --out <dir>         Output directory (fetch: raw data root, generate: where comparison_data.json goes,
+                          report: where qa_report.<format> files go instead of stdout)
+      --data-dir <dir>    Raw data root read by generate (default: repository root)
+      --no-snapshot       Do not store a dated snapshot of the result (generate)
+      --diffs             Also write precomputed diffs to comparison_diffs.json (generate)
+      --registry <path>   Protocol registry read by generate, report and monitor (default: registry.yaml)
+      --profile <id>      Rule profile of the registry for report, monitor and --diffs (default: default)
+      --concurrency <n>   Max requests in flight per provider (fetch)
+      --rps <n>           Requests-per-second budget per provider (fetch)
+      --resume            Skip chains the last run already fetched; retry failed ones (fetch)
+      --max-age <dur>     Refetch only data older than this, e.g. 30m, 6h, 2d (fetch)
+      --poll-deadline <dur>
+                          How long to wait for Zerion to index a wallet (fetch, default: 2m)
+      --record <dir>      Also save every API response as a recording for the mock server (fetch)
+      --fixtures <dir>    Recordings served by mock (default: test/fixtures/api)
+      --scenarios <path>  JSON list of simulated 202/429/delay/pagination rules (mock)
+  -i, --input <path>      Comparison file read by report (default: dashboard/comparison_data.json)
+      --format <fmt>      report output: table (per-wallet summary, default), csv (one row per mismatched
+                          asset), json or md (QA analysis); repeatable or comma-separated
+      --mode <mode>       QA analysis mode for report: fiat (default) or token
+      --fail-on <rule>    Exit with code 4 when the QA analysis breaches a threshold: pass-rate=<min %>,
+                          gap=<max USD>, issues=<max> or high=<max high-priority issues>; repeatable
+      --port <n>          Port for serve (default: 8000) and mock (default: ${DEFAULT_MOCK_PORT})
+      --host <host>       Interface serve listens on (default: 127.0.0.1); 0.0.0.0 exposes the unauthenticated
+                          refetch and triage API to the network
+      --schedule <when>   monitor schedule: cron expression such as "0 */6 * * *", or an interval such as 6h
+                          (default: 1h)
+      --once              Run one monitor check and exit
+      --cooldown <dur>    How long monitor holds back an alert for the same issue or wallet (default: 6h)
+      --sink <type=target>
+                          Where monitor sends alerts: webhook=<url>, slack=<url>, email=<address> (SMTP_URL)
+                          or file=<path>; repeatable
+      --state <path>      monitor state file (default: runs/monitor.json)
+  -h, --help              Show this help
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage error, 3 some addresses or chains failed or are incomplete,
+  4 report threshold breached`;
+
+const OPTIONS = {
+  file: { type: 'string', short: 'f' },
+  rpc: { type: 'string' },
+  address: { type: 'string', short: 'a', multiple: true },
+  chain: { type: 'string', short: 'c', multiple: true },
+  providers: { type: 'string', short: 'p', multiple: true },
+  out: { type: 'string', short: 'o' },
+  'data-dir': { type: 'string' },
+  'no-snapshot': { type: 'boolean' },
+  diffs: { type: 'boolean' },
+  registry: { type: 'string' },
+  profile: { type: 'string' },
+  concurrency: { type: 'string' },
+  rps: { type: 'string' },
+  resume: { type: 'boolean' },
+  'max-age': { type: 'string' },
+  'poll-deadline': { type: 'string' },
+  record: { type: 'string' },
+  fixtures: { type: 'string' },
+  scenarios: { type: 'string' },
+  input: { type: 'string', short: 'i' },
+  format: { type: 'string', multiple: true },
+  mode: { type: 'string' },
+  'fail-on': { type: 'string', multiple: true },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  schedule: { type: 'string' },
+  once: { type: 'boolean' },
+  cooldown: { type: 'string' },
+  sink: { type: 'string', multiple: true },
+  state: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+// Flatten repeatable, comma-separated flag values
+const splitList = values => (values || []).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+
+function resolveProviders(ids) {
+  if (ids.length === 0) return listProviders();
+  return ids.map(id => {
+    try {
+      return getProvider(id.toLowerCase());
+    } catch (e) {
+      throw new UsageError(e.message);
+    }
+  });
+}
+
+function resolveChains(inputs) {
+  if (inputs.length === 0) return null;
+  return inputs.map(input => {
+    const chain = chains.findChain(input);
+    if (!chain) throw new UsageError(`Unknown chain "${input}"`);
+    return chain.key;
+  });
+}
+
+function parsePositiveNumber(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!(number > 0)) throw new UsageError(`${flag} must be a positive number, got "${value}"`);
+  return number;
+}
+
+function parseDurationOption(value, flag) {
+  if (value === undefined) return undefined;
+  const ms = parseDuration(value);
+  if (ms === null) throw new UsageError(`${flag} must be a duration like 30m, 6h or 2d, got "${value}"`);
+  return ms;
+}
+
+// The address book, checked and with ENS names resolved. Rejected entries are
+// reported and left out. Optional when the wallets are given with --address.
+async function readAddressBook(values) {
+  const file = values.file ? path.resolve(values.file) : DEFAULT_ADDRESS_FILE;
+  if (splitList(values.address).length > 0 && !fs.existsSync(file)) return [];
+  const { entries, rejected, duplicates } = await ingestAddressBook(loadAddressBook(file), { rpcUrl: values.rpc });
+  if (rejected.length > 0) {
+    console.warn(`⚠️  Skipping ${rejected.length} rejected address book entries:`);
+    rejected.forEach(r => console.warn(`   ${r.input}: ${r.reason}`));
+  }
+  duplicates.forEach(d => console.warn(`⚠️  Skipping ${d.input}: duplicate of ${d.duplicateOf}`));
+  return entries;
+}
+
+// --address values, checked and resolved like the address book, else its enabled wallets
+async function resolveAddresses(values, book) {
+  const inputs = splitList(values.address);
+  if (inputs.length === 0) return enabledEntries(book).map(entry => entry.address);
+  const { entries, rejected } = await ingestAddressBook(inputs.map(address => ({ address })), { rpcUrl: values.rpc });
+  if (rejected.length > 0) {
+    throw new UsageError(`Invalid --address ${rejected.map(r => `${r.input} (${r.reason})`).join(', ')}`);
+  }
+  return entries.map(entry => entry.address);
+}
+
+async function fetchCommand(positionals, values) {
+  const providers = resolveProviders([...positionals, ...splitList(values.providers)]);
+  const chainKeys = resolveChains(splitList(values.chain));
+  // Every address is checked before the first API call
+  const addressBook = await readAddressBook(values);
+  const addresses = await resolveAddresses(values, addressBook);
+  const outDir = values.out ? path.resolve(values.out) : undefined;
+  const concurrency = parsePositiveNumber(values.concurrency, '--concurrency');
+  const requestsPerSecond = parsePositiveNumber(values.rps, '--rps');
+  const maxAgeMs = parseDurationOption(values['max-age'], '--max-age');
+  const pollDeadlineMs = parseDurationOption(values['poll-deadline'], '--poll-deadline');
+  if (values.record) {
+    providers.forEach(provider => attachRecorder(provider.apiClient, provider.id, path.resolve(values.record)));
+  }
+
+  // One manifest for the whole run, shared by every provider
+  const manifest = RunManifest.start(outDir);
+  for (const provider of providers) {
+    await runFetch(provider, {
+      addresses,
+      chains: chainKeys,
+      addressBook,
+      outDir,
+      concurrency,
+      requestsPerSecond,
+      manifest,
+      resume: values.resume,
+      maxAgeMs,
+      pollDeadlineMs
+    });
+  }
+  manifest.save(true);
+  console.log(`Run manifest: ${manifest.file}`);
+  const incomplete = RETRY_STATUSES.some(status => manifest.summary()[status] > 0);
+  return incomplete ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+}
+
+// --profile, checked against the registry's profiles
+function resolveProfile(values, registry) {
+  const id = values.profile || DEFAULT_PROFILE;
+  if (!findProfile(registry, id)) {
+    throw new UsageError(`Unknown profile "${id}" (expected ${listProfiles(registry).map(p => p.id).join(', ')})`);
+  }
+  return id;
+}
+
+const registryFile = values => values.registry ? path.resolve(values.registry) : undefined;
+
+// Provider pair for two-sided commands: the first two --providers, else DeBank vs Zerion
+function resolvePair(values) {
+  const providerIds = splitList(values.providers);
+  const [left, right] = providerIds.length >= 2 ? providerIds : ['debank', 'zerion'];
+  return { left, right };
+}
+
+async function generateCommand(values) {
+  const addressBook = await readAddressBook(values);
+  const addresses = splitList(values.address).length > 0 ? await resolveAddresses(values, addressBook) : [];
+  const profile = values.diffs ? resolveProfile(values, loadRegistry(registryFile(values))) : undefined;
+  const { outputFile, addresses: count, snapshot, diffsFile, expiredIssues } = generateComparison({
+    providers: resolveProviders(splitList(values.providers)),
+    addresses: addresses.length > 0 ? addresses : undefined,
+    addressBook,
+    chains: resolveChains(splitList(values.chain)) || undefined,
+    dataDir: values['data-dir'] ? path.resolve(values['data-dir']) : undefined,
+    outDir: values.out ? path.resolve(values.out) : undefined,
+    registryFile: registryFile(values),
+    snapshot: !values['no-snapshot'],
+    diffs: values.diffs ? { ...resolvePair(values), profile } : undefined
+  });
+  console.log(`Generated comparison data for ${count} addresses at ${outputFile}`);
+  if (snapshot) console.log(`Snapshot saved: ${snapshot.id}`);
+  if (diffsFile) console.log(`Precomputed diffs at ${diffsFile}`);
+  expiredIssues.forEach(rule => {
+    console.warn(`⚠️  Known issue for ${rule.protocol} (owner: ${rule.owner}) expired on ${rule.expires}; it is reported as a diff again`);
+  });
+  return EXIT_CODES.OK;
+}
+
+const REPORT_FORMATS = ['table', ...EXPORT_FORMATS];
+const REPORT_FILENAME = 'qa_report';
+
+function resolveFormats(values) {
+  const formats = splitList(values.format).map(f => f.toLowerCase());
+  const unknown = formats.find(f => !REPORT_FORMATS.includes(f));
+  if (unknown) throw new UsageError(`Unknown format "${unknown}" (expected ${REPORT_FORMATS.join(', ')})`);
+  return formats.length > 0 ? [...new Set(formats)] : ['table'];
+}
+
+function resolveFailOn(values) {
+  return (values['fail-on'] || []).map(rule => {
+    try {
+      return parseFailOn(rule);
+    } catch (e) {
+      throw new UsageError(e.message);
+    }
+  });
+}
+
+async function reportCommand(values) {
+  const inputFile = values.input ? path.resolve(values.input) : path.join(DEFAULT_OUTPUT_DIR, OUTPUT_FILENAME);
+  if (!fs.existsSync(inputFile)) throw new UsageError(`Comparison file not found: ${inputFile}`);
+
+  const { left, right } = resolvePair(values);
+  const formats = resolveFormats(values);
+  const failOn = resolveFailOn(values);
+  const mode = values.mode || 'fiat';
+  if (!['fiat', 'token'].includes(mode)) throw new UsageError(`Unknown mode "${mode}" (expected fiat or token)`);
+  const data = readJson(inputFile);
+  if (!data) throw new Error(`Could not parse ${inputFile}`);
+
+  const addressBook = await readAddressBook(values);
+  // The QA analysis is only needed for the exports and thresholds
+  let analysis = null;
+  if (formats.some(f => f !== 'table') || failOn.length > 0) {
+    const registry = loadRegistry(registryFile(values));
+    analysis = analyzeReport(data, { left, right, mode, registry, profile: resolveProfile(values, registry) });
+  }
+
+  const outputs = {
+    table: () => formatSummary(summarizeComparison(data, left, right, addressBook), formatProvider(left), formatProvider(right)) + '\n',
+    csv: () => formatIssuesCsv(analysis, addressBook),
+    json: () => formatReportJson(analysis, addressBook),
+    md: () => formatReportMarkdown(analysis, { addressBook })
+  };
+  const outDir = values.out ? path.resolve(values.out) : null;
+  if (outDir) fs.mkdirSync(outDir, { recursive: true });
+  formats.forEach(format => {
+    if (!outDir || format === 'table') {
+      process.stdout.write(outputs[format]());
+      return;
+    }
+    const file = path.join(outDir, `${REPORT_FILENAME}.${format}`);
+    fs.writeFileSync(file, outputs[format]());
+    console.log(`Wrote ${file}`);
+  });
+
+  const breaches = analysis ? checkThresholds(analysis, failOn) : [];
+  if (breaches.length > 0) {
+    breaches.forEach(message => console.error(`⛔ --fail-on: ${message}`));
+    return EXIT_CODES.THRESHOLD;
+  }
+  return EXIT_CODES.OK;
+}
+
+function parsePort(value, fallback) {
+  const port = value ? Number(value) : fallback;
+  if (!Number.isInteger(port) || port <= 0) throw new UsageError(`Invalid port "${value}"`);
+  return port;
+}
+
+async function serveCommand(values) {
+  const port = parsePort(values.port, 8000);
+  const host = values.host || DEFAULT_HOST;
+  await startServer({ port, host });
+  const shown = host === DEFAULT_HOST ? 'localhost' : host.includes(':') ? `[${host}]` : host;
+  console.log(`Dashboard running at http://${shown}:${port}/`);
+  return EXIT_CODES.OK;
+}
+
+async function mockCommand(values) {
+  const port = parsePort(values.port, DEFAULT_MOCK_PORT);
+  const fixturesDir = path.resolve(values.fixtures || DEFAULT_FIXTURES_DIR);
+  if (!fs.existsSync(fixturesDir)) throw new UsageError(`Fixtures directory not found: ${fixturesDir}`);
+
+  let scenarios = [];
+  if (values.scenarios) {
+    scenarios = readJson(path.resolve(values.scenarios));
+    if (!Array.isArray(scenarios)) throw new UsageError(`--scenarios must be a JSON list of rules: ${values.scenarios}`);
+  }
+
+  await startMockServer({ fixturesDir, scenarios, port });
+  const url = `http://localhost:${port}`;
+  console.log(`Mock API replaying ${fixturesDir} at ${url}`);
+  console.log(`Fetch against it with: DEBANK_API_URL=${url} ZERION_API_URL=${url}/v1 defi-compare fetch`);
+  return EXIT_CODES.OK;
+}
+
+function resolveSchedule(values) {
+  try {
+    return parseSchedule(values.schedule || '1h');
+  } catch (e) {
+    throw new UsageError(`--schedule: ${e.message}`);
+  }
+}
+
+function resolveSinks(values) {
+  return (values.sink || []).map(spec => {
+    try {
+      return createSink(parseSink(spec));
+    } catch (e) {
+      throw new UsageError(e.message);
+    }
+  });
+}
+
+function logCheck(result) {
+  const at = new Date(result.at).toLocaleString();
+  if (result.incomplete.length > 0) console.warn(`⚠️  Not compared, the fetch is incomplete: ${result.incomplete.join(', ')}`);
+  if (result.baseline) {
+    console.log(`🔎 ${at}: baseline recorded, pass rate ${result.passRate}%`);
+    return;
+  }
+  console.log(`🔎 ${at}: ${result.alerts.length} alerts, ${result.suppressed.length} held back by the cooldown, pass rate ${result.passRate}%`);
+  result.alerts.forEach(alert => console.log(`   🔔 ${formatAlert(alert)}`));
+  result.failures.forEach(f => console.error(`⚠️  Could not send alerts to ${f.sink}: ${f.error}`));
+  if (!result.delivered) console.error('⚠️  No sink took the alerts; they are sent again with the next check');
+}
+
+async function monitorCommand(values) {
+  const schedule = values.once ? null : resolveSchedule(values);
+  const cooldownMs = parseDurationOption(values.cooldown, '--cooldown') ?? DEFAULT_COOLDOWN_MS;
+  const sinks = resolveSinks(values);
+  const { left, right } = resolvePair(values);
+  const profile = resolveProfile(values, loadRegistry(registryFile(values)));
+  const outputFile = path.join(values.out ? path.resolve(values.out) : DEFAULT_OUTPUT_DIR, OUTPUT_FILENAME);
+
+  // fetch writes the raw data that generate reads from --data-dir; --out is where generate writes
+  const check = () => {
+    const registry = loadRegistry(registryFile(values));
+    return runCheck({
+      run: async () => {
+        const fetchCode = await fetchCommand([], { ...values, out: values['data-dir'] });
+        if (fetchCode !== EXIT_CODES.OK && fetchCode !== EXIT_CODES.PARTIAL) {
+          throw new Error(`fetch exited with code ${fetchCode}; nothing compared`);
+        }
+        await generateCommand(values);
+        // Wallets with chains still to retry are not compared this time
+        const manifest = RunManifest.latestIn(values['data-dir'] ? path.resolve(values['data-dir']) : undefined);
+        const incomplete = fetchCode === EXIT_CODES.PARTIAL
+          ? [...new Set(Object.values(manifest.entries).filter(entry => RETRY_STATUSES.includes(entry.status)).map(entry => entry.address))]
+          : [];
+        return { data: readJson(outputFile) || {}, incomplete };
+      },
+      analyze: data => analyzeReport(data, { left, right, registry, profile }),
+      thresholds: thresholdResolver(registry, profile),
+      sinks,
+      stateFile: values.state ? path.resolve(values.state) : DEFAULT_STATE_FILE,
+      cooldownMs
+    });
+  };
+
+  if (values.once) {
+    const result = await check();
+    logCheck(result);
+    return result.failures.length > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+  }
+
+  console.log(`Monitoring ${formatProvider(left)} vs ${formatProvider(right)} (${schedule.expression}), alerting to ${sinks.length > 0 ? sinks.map(sink => sink.name).join(', ') : 'the console only'}`);
+  startMonitor(schedule, check, {
+    onResult: logCheck,
+    onError: e => console.error(`⛔ Check failed: ${e.message}`),
+    onScheduled: date => console.log(`Next check at ${date.toLocaleString()}`)
+  });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv Arguments without the node binary and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return command || values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  try {
+    switch (command) {
+      case 'fetch':
+        return await fetchCommand(rest, values);
+      case 'generate':
+        return await generateCommand(values);
+      case 'report':
+        return await reportCommand(values);
+      case 'serve':
+        return await serveCommand(values);
+      case 'mock':
+        return await mockCommand(values);
+      case 'monitor':
+        return await monitorCommand(values);
+      default:
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`Error: ${e.message}`);
+      console.error('Run "defi-compare --help" for usage.');
+      return EXIT_CODES.USAGE;
+    }
+    console.error(`⛔ Fatal Error: ${e.message}`);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+  main
+};
@@ -0,0 +1,101 @@
+const { parseDuration } = require('./utils');
+
+/**
+ * Schedules for the monitor: a five-field cron expression (minute, hour, day of
+ * month, month, day of week; local time) or a plain interval such as "30m".
+ * Fields take *, numbers, ranges (1-5), steps (*\/15, 0-30/10) and lists of those.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Matches at most a few years ahead; an expression such as "0 0 31 2 *" never does
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} "${part}"`);
+    const from = match[1] === '*' ? min : Number(match[2]);
+    const to = match[1] === '*' ? max : Number(match[3] ?? (match[4] ? max : match[2]));
+    const step = match[4] ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid ${name} "${part}" (expected ${min}-${max})`);
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return values;
+}
+
+/**
+ * @param {string} expression e.g. "0 *\/6 * * *"
+ * @returns {{ expression: string, matches: Function, next: Function }} next(after) => Date of the first
+ *   matching minute after `after`
+ * @throws On a malformed expression
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) throw new Error(`Invalid cron expression "${expression}" (expected 5 fields)`);
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  // As in cron, a day matches either field when both the day of month and the day of week are restricted
+  const dayRestricted = parts[2] !== '*';
+  const weekdayRestricted = parts[4] !== '*';
+  const dayMatches = date => {
+    const byDay = days.has(date.getDate());
+    const byWeekday = weekdays.has(date.getDay());
+    if (dayRestricted && weekdayRestricted) return byDay || byWeekday;
+    return byDay && byWeekday;
+  };
+  const matches = date => minutes.has(date.getMinutes()) && hours.has(date.getHours()) &&
+    months.has(date.getMonth() + 1) && dayMatches(date);
+
+  function next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+      if (!months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+      } else if (!dayMatches(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+    throw new Error(`Cron expression "${expression}" never matches`);
+  }
+
+  return { expression, matches, next };
+}
+
+/**
+ * A cron expression, or an interval such as "30m", "6h" or "1d" counted from the previous run
+ * @param {string} value
+ * @returns {{ expression: string, next: Function }} next(after) => Date of the next run
+ * @throws On a value that is neither
+ */
+function parseSchedule(value) {
+  const ms = parseDuration(value);
+  if (ms !== null) {
+    if (!(ms > 0)) throw new Error(`Invalid schedule "${value}" (the interval must be positive)`);
+    return { expression: `every ${value}`, next: (after = new Date()) => new Date(after.getTime() + ms) };
+  }
+  return parseCron(value);
+}
+
+module.exports = {
+  parseCron,
+  parseSchedule
+};
@@ -0,0 +1,65 @@
+const axios = require('axios');
+const { keccak_256: keccak256 } = require('@noble/hashes/sha3');
+const { bytesToHex, utf8ToBytes } = require('@noble/hashes/utils');
+
+// JSON-RPC endpoint of an Ethereum mainnet node (override with ENS_RPC_URL or --rpc)
+const DEFAULT_RPC_URL = process.env.ENS_RPC_URL || 'http://127.0.0.1:8545';
+
+// ENS registry, at the same address on mainnet and the testnets
+const ENS_REGISTRY = '0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e';
+
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+
+const selector = signature => '0x' + bytesToHex(keccak256(signature)).slice(0, 8);
+
+/**
+ * ENS namehash of a name. Names are only lowercased, not fully ENSIP-15
+ * normalized, which covers plain ASCII names.
+ * @param {string} name e.g. "vitalik.eth"
+ * @returns {string} 0x-prefixed 32-byte hash
+ */
+function namehash(name) {
+  let node = new Uint8Array(32);
+  const labels = name.trim().toLowerCase().split('.').filter(Boolean);
+  labels.reverse().forEach(label => {
+    node = keccak256(new Uint8Array([...node, ...keccak256(utf8ToBytes(label))]));
+  });
+  return '0x' + bytesToHex(node);
+}
+
+async function ethCall(rpcUrl, to, data) {
+  const { data: response } = await axios.post(rpcUrl, {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'eth_call',
+    params: [{ to, data }, 'latest']
+  }, { timeout: 10000 });
+  if (response.error) throw new Error(`RPC error: ${response.error.message}`);
+  return response.result;
+}
+
+// Address in the last 20 bytes of an ABI-encoded word
+const wordAddress = word => '0x' + (word || '').slice(-40).toLowerCase();
+
+/**
+ * Resolve an ENS name to its address record through a node's eth_call
+ * @param {string} name
+ * @param {{ rpcUrl?: string }} [options]
+ * @returns {Promise<string>} Lowercase address
+ * @throws When the name has no resolver or address, or the node cannot be reached
+ */
+async function resolveName(name, { rpcUrl = DEFAULT_RPC_URL } = {}) {
+  const node = namehash(name).slice(2);
+  const resolver = wordAddress(await ethCall(rpcUrl, ENS_REGISTRY, selector('resolver(bytes32)') + node));
+  if (resolver.length !== 42 || resolver === ZERO_ADDRESS) throw new Error(`${name} has no resolver`);
+  const address = wordAddress(await ethCall(rpcUrl, resolver, selector('addr(bytes32)') + node));
+  if (address.length !== 42 || address === ZERO_ADDRESS) throw new Error(`${name} has no address record`);
+  return address;
+}
+
+module.exports = {
+  DEFAULT_RPC_URL,
+  ENS_REGISTRY,
+  namehash,
+  resolveName
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const chains = require('../dashboard/lib/chains');
+const { resolveDataDir } = require('./providers');
+const { walletChains } = require('./addresses');
+const { RunManifest, STATUS } = require('./manifest');
+const { mapLimit, writeJson, ensureDir } = require('./utils');
+
+/**
+ * Fetch raw data with one provider adapter and save it as
+ * <dataDir>/<address>/<providerChainId>.json
+ *
+ * Addresses are processed concurrently; the provider's scheduler enforces the
+ * actual request concurrency and rate budget. Every (address, chain) outcome is
+ * recorded in the run manifest, which is saved after each address. A truncated
+ * chain is saved with what the provider returned; a failed or unavailable one
+ * keeps its previous raw file; an empty one has it removed.
+ * @param {Object} provider Adapter from lib/providers
+ * @param {Object} options
+ * @param {string[]} options.addresses Wallets to fetch
+ * @param {string[]} [options.chains] Registry chain keys (default: every registered chain)
+ * @param {Object[]} [options.addressBook] loadAddressBook() entries; their chain overrides apply
+ * @param {string} [options.outDir] Root for raw data (default: the adapter's own data dir)
+ * @param {number} [options.concurrency] Max requests in flight for this provider
+ * @param {number} [options.requestsPerSecond] Request budget for this provider
+ * @param {RunManifest} [options.manifest] Run to record into (default: a new run under outDir)
+ * @param {boolean} [options.resume] Skip chains the manifest already has as success or empty
+ * @param {number} [options.maxAgeMs] Only refetch chains fetched longer ago than this
+ * @param {number} [options.pollDeadlineMs] How long to wait for a provider still indexing a wallet
+ * @param {{ log: Function, warn: Function }} [options.logger] Where progress goes (default: console), also used
+ *   by the provider's scheduler
+ * @returns {Promise<{ success, empty, truncated, unavailable, failed, skipped }>} Chain counts
+ */
+async function runFetch(provider, options) {
+  // Dynamic import for ESM-only modules (chalk)
+  const { default: chalk } = await import('chalk');
+  const { addresses } = options;
+  const logger = options.logger || console;
+  const chainKeys = options.chains || chains.CHAINS.map(chain => chain.key);
+  const dataDir = resolveDataDir(provider, options.outDir);
+  const manifest = options.manifest || RunManifest.start(options.outDir);
+  const fetchOptions = { resume: options.resume, maxAgeMs: options.maxAgeMs };
+  const summary = { skipped: 0 };
+  Object.values(STATUS).forEach(status => {
+    summary[status] = 0;
+  });
+
+  provider.scheduler.configure({
+    concurrency: options.concurrency,
+    requestsPerSecond: options.requestsPerSecond,
+    logger
+  });
+  const { concurrency, requestsPerSecond } = provider.scheduler;
+
+  logger.log(chalk.blue.bold(`🚀 Starting ${provider.name} Data Fetcher...`));
+  logger.log(chalk.gray(`Target Chains: ${chainKeys.map(key => provider.chainId(key)).join(', ')}`));
+  logger.log(chalk.gray(`Concurrency: ${concurrency}, budget: ${requestsPerSecond || '∞'} req/s`));
+
+  // Check Env
+  if (provider.apiKeyEnv && !process.env[provider.apiKeyEnv]) {
+    logger.warn(chalk.yellow(`⚠️  Warning: ${provider.apiKeyEnv} is not set. Requests may fail.`));
+  }
+
+  logger.log(chalk.green(`✅ ${addresses.length} addresses queued.`));
+  logger.log(chalk.gray('----------------------------------------'));
+
+  ensureDir(dataDir);
+
+  let done = 0;
+  await mapLimit(addresses, concurrency, async address => {
+    // Buffer log lines so concurrent addresses do not interleave
+    const lines = [];
+    const log = line => lines.push(line);
+
+    const addressChainKeys = walletChains(options.addressBook || [], address, chainKeys);
+    const pending = addressChainKeys.filter(key => manifest.needsFetch(provider.id, address, key, fetchOptions));
+    summary.skipped += addressChainKeys.length - pending.length;
+
+    if (pending.length === 0) {
+      log(chalk.gray(`  ↷ Up to date, skipped.`));
+    } else {
+      let results;
+      try {
+        results = await provider.fetch(address, {
+          chains: pending,
+          log: line => log(chalk.gray(line)),
+          pollDeadlineMs: options.pollDeadlineMs
+        });
+      } catch (e) {
+        log(chalk.red(`  ✗ ${e.message}`));
+        results = {};
+        pending.forEach(key => {
+          results[key] = { status: STATUS.FAILED, error: e.message };
+        });
+      }
+
+      const addressDir = path.join(dataDir, address);
+      pending.forEach(chainKey => {
+        const result = results[chainKey] || { status: STATUS.EMPTY };
+        const filename = `${provider.chainId(chainKey)}.json`;
+        const filePath = path.join(addressDir, filename);
+
+        if (result.status === STATUS.SUCCESS || result.status === STATUS.TRUNCATED) {
+          ensureDir(addressDir);
+          writeJson(filePath, result.data);
+          if (result.status === STATUS.SUCCESS) log(chalk.green(`    ✓ Saved ${address}/${filename}`));
+          else log(chalk.yellow(`    ⚠️ Saved ${address}/${filename}, truncated: ${result.error}`));
+        } else if (result.status === STATUS.EMPTY) {
+          // Positions closed since the last run must not linger in the comparison
+          if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        } else if (result.status === STATUS.UNAVAILABLE) {
+          log(chalk.yellow(`    ⏳ ${provider.chainId(chainKey)}: ${result.error}`));
+        } else {
+          log(chalk.red(`    ✗ ${provider.chainId(chainKey)}: ${result.error}`));
+        }
+        manifest.record(provider.id, address, chainKey, result.status, result.error);
+        summary[result.status]++;
+      });
+
+      if (pending.every(key => !results[key] || results[key].status === STATUS.EMPTY)) {
+        log(chalk.yellow(`  ⚠️ No data found on target chains.`));
+      }
+      manifest.save();
+    }
+
+    done++;
+    logger.log(chalk.yellow(`[${done}/${addresses.length}] ${address}`));
+    lines.forEach(line => logger.log(line));
+  });
+
+  if (!options.manifest) manifest.save(true);
+
+  logger.log(chalk.gray('----------------------------------------'));
+  logger.log(chalk.blue.bold(`✨ ${provider.name} done: ${summary.success} chains saved, ${summary.truncated} truncated, ${summary.empty} empty, ${summary.unavailable} unavailable, ${summary.failed} failed, ${summary.skipped} skipped.`));
+  return summary;
+}
+
+module.exports = {
+  runFetch
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const chains = require('../dashboard/lib/chains');
+const reconcile = require('../dashboard/lib/reconcile');
+const { findKnownIssue, expiredIssues } = require('../dashboard/lib/registry');
+const { DEFAULT_PROFILE, thresholdResolver } = require('../dashboard/lib/profiles');
+const { assessAsset } = require('../dashboard/lib/risk');
+const { loadRegistry, applyAliases, REGISTRY_FILENAME } = require('./registry');
+const { listProviders, resolveDataDir } = require('./providers');
+const { RunManifest, STATUS, entryKey } = require('./manifest');
+const { loadAddressBook, walletChains, ADDRESS_BOOK_FILENAME } = require('./addresses');
+const { enabledEntries } = require('../dashboard/lib/addressbook');
+const { saveSnapshot } = require('./snapshots');
+const { readJson, writeJson, ensureDir, getDirectories } = require('./utils');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../dashboard');
+const OUTPUT_FILENAME = 'comparison_data.json';
+const DIFFS_FILENAME = 'comparison_diffs.json';
+
+/**
+ * Precomputed reconciliation of a comparison file for one provider pair, in
+ * every compare mode, as written to comparison_diffs.json
+ * @param {Object} data comparison_data.json content
+ * @param {{ left: string, right: string, profile?: string }} pair profile: rule profile of the registry
+ * @param {Object} [registry] Protocol registry; active known issues are left out
+ * @returns {Object} { left, right, profile, modes: { [mode]: { protocols, issues } } }
+ */
+function computeDiffs(data, { left, right, profile = DEFAULT_PROFILE }, registry) {
+  const isKnownWarning = (name, chain) => Boolean(registry && findKnownIssue(registry, name, chain));
+  const thresholds = thresholdResolver(registry || {}, profile);
+  const modes = {};
+  reconcile.MODES.forEach(mode => {
+    modes[mode] = reconcile.diffComparison(data, { left, right, mode, isKnownWarning, thresholds });
+  });
+  return { left, right, profile, modes };
+}
+
+// Record the risk level of every asset that has one (see dashboard/lib/risk.js)
+function annotateRisk(normalized, registry) {
+  Object.values(normalized.protocols).forEach(proto => {
+    proto.assets.forEach(asset => {
+      const risk = assessAsset(asset, registry);
+      if (risk.level !== 'none') asset.risk = risk;
+    });
+  });
+  return normalized;
+}
+
+/**
+ * Outcome of a provider's last fetch of one chain when it is not a plain
+ * success: from the latest run manifest, else from the raw file's own meta
+ * @param {Object|null} manifest Saved run manifest
+ * @param {string} providerId
+ * @param {string} address
+ * @param {string} chainKey
+ * @param {Object|null} raw Raw chain payload
+ * @returns {{ status: string, error?: string, fetchedAt?: string }|null}
+ */
+function fetchStatusOf(manifest, providerId, address, chainKey, raw) {
+  const entry = manifest && manifest.entries[entryKey(providerId, address, chainKey)];
+  if (entry && entry.status !== STATUS.SUCCESS) {
+    const status = { status: entry.status, fetchedAt: entry.fetchedAt };
+    if (entry.error) status.error = entry.error;
+    return status;
+  }
+  const meta = raw && raw.meta;
+  if (meta && meta.coverage === STATUS.TRUNCATED) {
+    return { status: STATUS.TRUNCATED, error: meta.truncated_reason, fetchedAt: meta.timestamp };
+  }
+  return null;
+}
+
+/**
+ * Normalize raw provider data into comparison_data.json, keyed by address,
+ * registry chain key and provider id.
+ *
+ * With an address or chain filter only those entries are rebuilt and merged
+ * into the existing output file, so a partial refetch does not drop other wallets.
+ * Protocol names are mapped to their canonical names from the registry, which
+ * is also copied next to the output for the dashboard pages, as is the address
+ * book. A wallet's chain overrides in the address book limit its chains. Assets with a
+ * risk level carry it as `risk: { level, reasons }`. A provider whose last fetch
+ * of the chain came back empty, truncated, unavailable or failed carries
+ * `fetchStatus: { status, error?, fetchedAt }` (see fetchStatusOf).
+ * Every run also stores the result as a dated snapshot (see lib/snapshots.js).
+ * @param {Object} [options]
+ * @param {Object[]} [options.providers] Adapters to include (default: all)
+ * @param {string[]} [options.addresses] Wallets to rebuild (default: the enabled wallets of the address book)
+ * @param {Object[]} [options.addressBook] ingestAddressBook() entries (default: addresses.yaml as written)
+ * @param {string[]} [options.chains] Registry chain keys to rebuild (default: all)
+ * @param {string} [options.dataDir] Root of the raw provider data
+ * @param {string} [options.outDir] Directory for comparison_data.json
+ * @param {string} [options.registryFile] Protocol registry (default: registry.yaml)
+ * @param {boolean} [options.snapshot] Store a dated snapshot (default: true)
+ * @param {{ left: string, right: string, profile?: string }} [options.diffs] Also write comparison_diffs.json for
+ *   this provider pair, with the thresholds of a rule profile
+ * @returns {{ outputFile: string, addresses: number, snapshot: Object|null, diffsFile: string|null, expiredIssues: Object[] }}
+ */
+function generateComparison(options = {}) {
+  const registry = loadRegistry(options.registryFile);
+  const addressBook = options.addressBook || loadAddressBook();
+  const providers = options.providers || listProviders();
+  const chainKeys = options.chains || chains.CHAINS.map(chain => chain.key);
+  const outputDir = options.outDir || DEFAULT_OUTPUT_DIR;
+  const outputFile = path.join(outputDir, OUTPUT_FILENAME);
+  const dataDirs = {};
+  providers.forEach(p => {
+    dataDirs[p.id] = resolveDataDir(p, options.dataDir);
+  });
+
+  // Every address any provider has data for
+  let addresses = [...new Set(providers.flatMap(p => getDirectories(dataDirs[p.id])))];
+
+  const filterAddresses = options.addresses
+    ? options.addresses.map(addr => addr.toLowerCase())
+    : enabledEntries(addressBook).map(entry => entry.address.toLowerCase());
+  if (filterAddresses.length > 0) {
+    addresses = addresses.filter(addr => filterAddresses.includes(addr.toLowerCase()));
+  }
+
+  // Fetch runs write their manifest next to the raw data
+  const manifest = RunManifest.latestIn(options.dataDir);
+
+  const isPartial = Boolean(options.addresses || options.chains);
+  const result = (isPartial && readJson(outputFile)) || {};
+
+  addresses.forEach(address => {
+    // Raw data directories may carry checksummed addresses; the output is keyed lowercase
+    const key = address.toLowerCase();
+    if (!result[key]) result[key] = {};
+
+    // Walk the shared chain registry; comparison data is keyed by the registry chain key
+    // and, per chain, by provider id
+    const addressChainKeys = walletChains(addressBook, address, chainKeys);
+    chainKeys.forEach(chainKey => {
+      if (!addressChainKeys.includes(chainKey)) {
+        delete result[key][chainKey];
+        return;
+      }
+
+      const files = {};
+      providers.forEach(p => {
+        files[p.id] = path.join(dataDirs[p.id], address, `${p.chainId(chainKey)}.json`);
+      });
+
+      // Only process if at least one exists
+      if (!Object.values(files).some(file => fs.existsSync(file))) {
+        delete result[key][chainKey];
+        return;
+      }
+
+      const entry = {};
+      providers.forEach(p => {
+        const raw = readJson(files[p.id]) || []; // Default to empty array if missing
+        entry[p.id] = annotateRisk(applyAliases(p.normalize(raw, chainKey), registry, p.id, chainKey), registry);
+        const fetchStatus = fetchStatusOf(manifest, p.id, address, chainKey, raw);
+        if (fetchStatus) entry[p.id].fetchStatus = fetchStatus;
+      });
+      result[key][chainKey] = entry;
+    });
+  });
+
+  ensureDir(outputDir);
+  writeJson(outputFile, result);
+  writeJson(path.join(outputDir, REGISTRY_FILENAME), registry);
+  writeJson(path.join(outputDir, ADDRESS_BOOK_FILENAME), addressBook);
+  const snapshot = options.snapshot === false ? null : saveSnapshot(result, outputDir);
+
+  let diffsFile = null;
+  if (options.diffs) {
+    diffsFile = path.join(outputDir, DIFFS_FILENAME);
+    writeJson(diffsFile, computeDiffs(result, options.diffs, registry));
+  }
+  return { outputFile, addresses: addresses.length, snapshot, diffsFile, expiredIssues: expiredIssues(registry) };
+}
+
+module.exports = {
+  OUTPUT_FILENAME,
+  DIFFS_FILENAME,
+  DEFAULT_OUTPUT_DIR,
+  computeDiffs,
+  generateComparison
+};
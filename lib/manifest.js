@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, ensureDir } = require('./utils');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MANIFEST_DIRNAME = 'runs';
+
+// Outcome of one (provider, address, chain) fetch
+const STATUS = {
+  SUCCESS: 'success',
+  EMPTY: 'empty', // The provider has nothing for the wallet on this chain
+  TRUNCATED: 'truncated', // Saved, but the provider's list was cut off (see the raw file's meta)
+  UNAVAILABLE: 'unavailable', // The provider was still indexing the wallet at the deadline
+  FAILED: 'failed'
+};
+
+// Outcomes that are refetched on the next run, even with --resume
+const RETRY_STATUSES = [STATUS.TRUNCATED, STATUS.UNAVAILABLE, STATUS.FAILED];
+
+const entryKey = (provider, address, chain) => `${provider}:${address.toLowerCase()}:${chain}`;
+
+/**
+ * Record of a fetch run. Each run writes runs/run-<timestamp>.json holding the
+ * status of every (provider, address, chain) seen so far: entries not touched by
+ * this run are carried over from the previous manifest, so --resume and
+ * --max-age can decide what still needs fetching. The file is rewritten after
+ * every address, so an interrupted run keeps its progress.
+ */
+class RunManifest {
+  /**
+   * @param {string} dir Directory holding run manifests
+   * @param {Object} [previous] Last manifest written to `dir`
+   */
+  constructor(dir, previous) {
+    const startedAt = new Date();
+    this.dir = dir;
+    this.runId = startedAt.toISOString().replace(/[:.]/g, '-');
+    this.file = path.join(dir, `run-${this.runId}.json`);
+    this.startedAt = startedAt.toISOString();
+    this.previousRunId = previous ? previous.runId : null;
+    this.entries = previous ? { ...previous.entries } : {};
+  }
+
+  /**
+   * Start a run in `<rootDir>/runs`, carrying over the latest manifest there
+   * @param {string} [rootDir]
+   * @returns {RunManifest}
+   */
+  static start(rootDir = ROOT_DIR) {
+    const dir = path.join(rootDir, MANIFEST_DIRNAME);
+    return new RunManifest(dir, RunManifest.latest(dir));
+  }
+
+  /**
+   * Latest manifest in `<rootDir>/runs`, without starting a run
+   * @param {string} [rootDir]
+   * @returns {Object|null} Saved manifest: { runId, entries, ... }
+   */
+  static latestIn(rootDir = ROOT_DIR) {
+    return RunManifest.latest(path.join(rootDir, MANIFEST_DIRNAME));
+  }
+
+  static latest(dir) {
+    if (!fs.existsSync(dir)) return null;
+    const files = fs.readdirSync(dir).filter(f => /^run-.*\.json$/.test(f)).sort();
+    return files.length > 0 ? readJson(path.join(dir, files[files.length - 1])) : null;
+  }
+
+  get(provider, address, chain) {
+    return this.entries[entryKey(provider, address, chain)] || null;
+  }
+
+  /**
+   * Whether a chain still needs fetching. Successful or empty entries are skipped
+   * when they are younger than `maxAgeMs`, or always under `resume` without a max age.
+   * Failed, truncated, unavailable and never-fetched entries are always fetched.
+   * @param {string} provider
+   * @param {string} address
+   * @param {string} chain Registry chain key
+   * @param {{ resume?: boolean, maxAgeMs?: number }} options
+   * @returns {boolean}
+   */
+  needsFetch(provider, address, chain, { resume, maxAgeMs }) {
+    const entry = this.get(provider, address, chain);
+    if (!entry || RETRY_STATUSES.includes(entry.status)) return true;
+    if (maxAgeMs !== undefined) return Date.now() - Date.parse(entry.fetchedAt) > maxAgeMs;
+    return !resume;
+  }
+
+  record(provider, address, chain, status, error) {
+    const entry = {
+      provider,
+      address: address.toLowerCase(),
+      chain,
+      status,
+      fetchedAt: new Date().toISOString(),
+      runId: this.runId
+    };
+    if (error) entry.error = error;
+    this.entries[entryKey(provider, address, chain)] = entry;
+  }
+
+  // Counts of entries written by this run
+  summary() {
+    const counts = {};
+    Object.values(STATUS).forEach(status => {
+      counts[status] = 0;
+    });
+    Object.values(this.entries).forEach(entry => {
+      if (entry.runId === this.runId) counts[entry.status]++;
+    });
+    return counts;
+  }
+
+  save(finished = false) {
+    ensureDir(this.dir);
+    const data = {
+      runId: this.runId,
+      previousRunId: this.previousRunId,
+      startedAt: this.startedAt,
+      finishedAt: finished ? new Date().toISOString() : null,
+      summary: this.summary(),
+      entries: this.entries
+    };
+    // Write to a temp file first so a crash never leaves a truncated manifest
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+module.exports = {
+  STATUS,
+  RETRY_STATUSES,
+  entryKey,
+  RunManifest
+};
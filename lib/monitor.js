@@ -0,0 +1,266 @@
+const path = require('path');
+const { thresholdResolver } = require('../dashboard/lib/profiles');
+const { isDiscrepancy } = require('../dashboard/lib/snapshots');
+const { sendAlerts } = require('./alerts');
+const { readJson, writeJson, ensureDir } = require('./utils');
+
+/**
+ * Scheduled monitoring: each check runs the fetch → generate → analyze pipeline
+ * and compares the QA analysis with the previous check's. It alerts when a
+ * high-priority issue appears or its gap grows by more than the fiat thresholds
+ * of the profile ($1 and 10% by default), and when a wallet starts or stops
+ * passing.
+ *
+ * The state file keeps the previous check and when each alert was last sent,
+ * so an alert for the same issue or wallet is held back during the cooldown.
+ * Alerts no sink took are kept too, and sent again with the next check.
+ * The first check, and the first after a change of provider pair or profile,
+ * only records a baseline. Wallets the fetch left incomplete (failed,
+ * truncated or unavailable chains) are not compared: they keep their state of
+ * the previous check.
+ */
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '../runs/monitor.json');
+const DEFAULT_COOLDOWN_MS = 6 * 60 * 60 * 1000;
+
+const ALERT = {
+  NEW: 'new',
+  GROWN: 'grown',
+  FAILING: 'failing',
+  PASSING: 'passing'
+};
+
+// setTimeout fires at once beyond this delay (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * What the monitor keeps of a check
+ * @param {Object} data comparison_data.json content
+ * @param {Object} analysis analyzeReport() output
+ * @param {string} at ISO time of the check
+ * @returns {Object} { at, left, right, profile, passRate, issues: { [id]: { address, chain, protocol, symbol, gap } },
+ *   wallets: { [address]: { passed, issues } } }
+ */
+function summarizeRun(data, analysis, at) {
+  const issues = {};
+  analysis.highPriorityIssues.forEach(i => {
+    issues[i.id] = { address: i.address, chain: i.chain, protocol: i.protocol, symbol: i.symbol, gap: Math.abs(i.diff) };
+  });
+  const counts = {};
+  analysis.issues.forEach(i => {
+    counts[i.address] = (counts[i.address] || 0) + 1;
+  });
+  const wallets = {};
+  Object.keys(data).forEach(address => {
+    wallets[address] = { passed: !counts[address], issues: counts[address] || 0 };
+  });
+  const { left, right, profile, passRate } = analysis;
+  return { at, left, right, profile, passRate, issues, wallets };
+}
+
+/**
+ * The check with some wallets left as they were in the previous one
+ * @param {Object|undefined} previous summarizeRun() output
+ * @param {Object} current summarizeRun() output
+ * @param {string[]} addresses Wallets whose data is incomplete
+ * @returns {Object} `current` with the previous issues and status of those wallets, or without them
+ *   when there is no previous check
+ */
+function keepPrevious(previous, current, addresses) {
+  const skipped = new Set(addresses.map(address => address.toLowerCase()));
+  const isSkipped = address => skipped.has(address.toLowerCase());
+  const issues = {};
+  Object.entries(current.issues).forEach(([id, issue]) => {
+    if (!isSkipped(issue.address)) issues[id] = issue;
+  });
+  const wallets = {};
+  Object.entries(current.wallets).forEach(([address, wallet]) => {
+    if (!isSkipped(address)) wallets[address] = wallet;
+  });
+  if (previous) {
+    Object.entries(previous.issues).forEach(([id, issue]) => {
+      if (isSkipped(issue.address)) issues[id] = issue;
+    });
+    Object.entries(previous.wallets).forEach(([address, wallet]) => {
+      if (isSkipped(address)) wallets[address] = wallet;
+    });
+  }
+  return { ...current, issues, wallets };
+}
+
+/**
+ * Alerts between two checks: new and grown high-priority issues, largest gap
+ * first, then wallets whose pass status changed. Wallets new to the current
+ * check have no status to change.
+ * @param {Object} previous summarizeRun() output
+ * @param {Object} current summarizeRun() output
+ * @param {Function} [thresholds] ({ chain, protocol, symbol }) => thresholds of the profile (default: the built-in one)
+ * @returns {Array<{ type, key, address, chain?, protocol?, symbol?, gap?, previousGap?, issues? }>} key: what the
+ *   cooldown applies to (one issue, or one wallet's status change)
+ */
+function compareRuns(previous, current, thresholds = thresholdResolver({})) {
+  const issueAlerts = [];
+  Object.entries(current.issues).forEach(([id, issue]) => {
+    const before = previous.issues[id];
+    if (!before) {
+      issueAlerts.push({ type: ALERT.NEW, key: `issue:${id}`, ...issue });
+    } else if (issue.gap > before.gap && isDiscrepancy(issue.gap, before.gap, thresholds(issue))) {
+      issueAlerts.push({ type: ALERT.GROWN, key: `issue:${id}`, ...issue, previousGap: before.gap });
+    }
+  });
+  issueAlerts.sort((a, b) => b.gap - a.gap);
+
+  const walletAlerts = [];
+  Object.entries(current.wallets).forEach(([address, wallet]) => {
+    const before = previous.wallets[address];
+    if (!before || before.passed === wallet.passed) return;
+    const type = wallet.passed ? ALERT.PASSING : ALERT.FAILING;
+    walletAlerts.push({ type, key: `${type}:${address}`, address, issues: wallet.issues });
+  });
+
+  return [...issueAlerts, ...walletAlerts];
+}
+
+/**
+ * Alerts of the previous check that no sink took, added to this check's while
+ * they still hold: the issue is still there, or the wallet still has that status
+ * @param {Object[]} alerts compareRuns() output
+ * @param {Object[]} pending Undelivered alerts from the state file
+ * @param {Object} current summarizeRun() output
+ * @returns {Object[]}
+ */
+function withPending(alerts, pending, current) {
+  const keys = new Set(alerts.map(alert => alert.key));
+  const holds = alert => {
+    if (alert.type === ALERT.NEW || alert.type === ALERT.GROWN) return Boolean(current.issues[alert.key.slice('issue:'.length)]);
+    const wallet = current.wallets[alert.address];
+    return Boolean(wallet) && wallet.passed === (alert.type === ALERT.PASSING);
+  };
+  return [...alerts, ...(pending || []).filter(alert => !keys.has(alert.key) && holds(alert))];
+}
+
+/**
+ * Hold back alerts sent less than `cooldownMs` ago
+ * @param {Object[]} alerts compareRuns() output
+ * @param {Object} sent { [key]: ISO time last sent }
+ * @param {Date} now
+ * @param {number} cooldownMs
+ * @returns {{ due: Object[], suppressed: Object[], sent: Object }} sent: the times still in their cooldown; the
+ *   due alerts are added once delivered
+ */
+function applyCooldown(alerts, sent, now, cooldownMs) {
+  const active = {};
+  Object.entries(sent || {}).forEach(([key, at]) => {
+    if (now.getTime() - Date.parse(at) < cooldownMs) active[key] = at;
+  });
+  const due = [];
+  const suppressed = [];
+  alerts.forEach(alert => {
+    if (active[alert.key] || due.some(d => d.key === alert.key)) {
+      suppressed.push(alert);
+    } else {
+      due.push(alert);
+    }
+  });
+  return { due, suppressed, sent: active };
+}
+
+/**
+ * One monitor check
+ * @param {Object} options
+ * @param {Function} options.run async () => { data, incomplete? }; runs the fetch and generate steps. data: the
+ *   comparison data, incomplete: addresses the fetch did not fully get. Rejecting skips the check.
+ * @param {Function} options.analyze (data) => analyzeReport() output
+ * @param {Function} [options.thresholds] thresholdResolver() of the analysis profile, for how much a gap must grow
+ * @param {Object[]} [options.sinks] createSink() results
+ * @param {string} [options.stateFile] Default: runs/monitor.json
+ * @param {number} [options.cooldownMs] Default: 6 hours
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { at, baseline, passRate, alerts, suppressed, failures, delivered, incomplete }; alerts:
+ *   the ones sent, failures: sendAlerts() output, delivered: whether a sink (if any) took them, incomplete: the
+ *   wallets not compared
+ */
+async function runCheck(options) {
+  const stateFile = options.stateFile || DEFAULT_STATE_FILE;
+  const cooldownMs = options.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+  const state = readJson(stateFile) || {};
+
+  const { data, incomplete = [] } = await options.run();
+  const analysis = options.analyze(data);
+  const now = options.now || new Date();
+  const previous = state.lastRun;
+  const current = keepPrevious(previous, summarizeRun(data, analysis, now.toISOString()), incomplete);
+
+  const baseline = !previous || ['left', 'right', 'profile'].some(field => previous[field] !== current[field]);
+  const alerts = baseline ? [] : withPending(compareRuns(previous, current, options.thresholds), state.pending, current);
+  const { due, suppressed, sent } = applyCooldown(alerts, state.sent, now, cooldownMs);
+
+  const sinks = options.sinks || [];
+  const context = { at: current.at, left: current.left, right: current.right, profile: current.profile, passRate: current.passRate };
+  const failures = await sendAlerts(sinks, due, context);
+  // Without sinks the alerts are only printed. When every sink failed they stay
+  // due, out of the cooldown, and are sent with the next check's.
+  const delivered = sinks.length === 0 || failures.length < sinks.length;
+  if (delivered) due.forEach(alert => { sent[alert.key] = now.toISOString(); });
+
+  ensureDir(path.dirname(stateFile));
+  writeJson(stateFile, { lastRun: current, sent, pending: delivered ? [] : due });
+  return { at: current.at, baseline, passRate: current.passRate, alerts: due, suppressed, failures, delivered, incomplete };
+}
+
+/**
+ * Run `check` now and then at every time of the schedule, one check at a time
+ * @param {{ next: Function }} schedule parseSchedule() output
+ * @param {Function} check async () => result
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onResult] (result) => void
+ * @param {Function} [handlers.onError] (error) => void; the schedule goes on
+ * @param {Function} [handlers.onScheduled] (date) => void, with the time of the next check
+ * @returns {{ stop: Function }}
+ */
+function startMonitor(schedule, check, handlers = {}) {
+  let timer = null;
+  let stopped = false;
+
+  const waitUntil = (date, fn) => {
+    if (stopped) return;
+    const wait = date.getTime() - Date.now();
+    if (wait > MAX_TIMER_MS) {
+      timer = setTimeout(() => waitUntil(date, fn), MAX_TIMER_MS);
+    } else {
+      timer = setTimeout(fn, Math.max(0, wait));
+    }
+  };
+
+  const tick = async () => {
+    try {
+      const result = await check();
+      if (handlers.onResult) handlers.onResult(result);
+    } catch (e) {
+      if (handlers.onError) handlers.onError(e);
+    }
+    if (stopped) return;
+    const next = schedule.next(new Date());
+    if (handlers.onScheduled) handlers.onScheduled(next);
+    waitUntil(next, tick);
+  };
+
+  tick();
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  ALERT,
+  DEFAULT_STATE_FILE,
+  DEFAULT_COOLDOWN_MS,
+  summarizeRun,
+  compareRuns,
+  applyCooldown,
+  runCheck,
+  startMonitor
+};
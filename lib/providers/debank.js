@@ -0,0 +1,270 @@
+const path = require('path');
+const axios = require('axios');
+const chains = require('../../dashboard/lib/chains');
+const { formatProvider } = require('../../dashboard/lib/providers');
+const { NATIVE, WALLET_PROTOCOL, WALLET_POSITION, normalizeAddress, issuingProtocol } = require('../../dashboard/lib/tokens');
+const { createScheduler } = require('../scheduler');
+const { STATUS } = require('../manifest');
+
+const ID = 'debank';
+
+// Load Env Variables
+const API_KEY = process.env.DEBANK_ACCESS_KEY;
+const BASE_URL = process.env.DEBANK_API_URL || 'https://pro-openapi.debank.com';
+
+// Create axios instance with default config
+const createApiClient = () => {
+  const config = {
+    baseURL: BASE_URL,
+    headers: {
+      'AccessKey': API_KEY,
+    },
+    timeout: 10000
+  };
+
+  return axios.create(config);
+};
+
+const apiClient = createApiClient();
+
+// Every DeBank request goes through this scheduler (override with DEBANK_CONCURRENCY / DEBANK_RPS)
+const scheduler = createScheduler(ID, { name: formatProvider(ID), concurrency: 5, requestsPerSecond: 5 });
+
+/**
+ * Fetch used chains for a user. Throws on API errors so a failure is never
+ * mistaken for an address without activity.
+ * @param {string} address
+ * @returns {Promise<string[]>} List of chain IDs
+ */
+async function getUsedChains(address) {
+  const response = await scheduler.schedule(() => apiClient.get('/v1/user/used_chain_list', {
+    params: { id: address }
+  }));
+  return response.data.map(chain => chain.id);
+}
+
+/**
+ * Fetch protocol data for a specific chain (429s are retried by the scheduler).
+ * Throws on API errors; an empty array means the address has no positions.
+ * @param {string} address
+ * @param {string} chainId
+ * @returns {Promise<Array>} Protocol list
+ */
+async function getProtocolList(address, chainId) {
+  const response = await scheduler.schedule(() => apiClient.get('/v1/user/complex_protocol_list', {
+    params: {
+      id: address,
+      chain_id: chainId
+    }
+  }));
+  return response.data || [];
+}
+
+/**
+ * Fetch the wallet token balances of an address on every chain in one request.
+ * Protocol-derived tokens (receipt and LP tokens) are left out, since
+ * complex_protocol_list already reports those positions.
+ * @param {string} address
+ * @returns {Promise<Array>} Tokens, each with its DeBank `chain` id
+ */
+async function getAllTokens(address) {
+  const response = await scheduler.schedule(() => apiClient.get('/v1/user/all_token_list', {
+    params: {
+      id: address,
+      is_all: false
+    }
+  }));
+  return response.data || [];
+}
+
+/**
+ * Fetch raw protocol lists and wallet token balances for the target chains,
+ * stored per chain as { protocols, tokens }. Chains the address has never used
+ * are reported as empty without a request.
+ * @param {string} address
+ * @param {{ log: Function, chains: string[] }} context Target registry chain keys
+ * @returns {Promise<Object>} { [chainKey]: { status, data?, error? } }
+ */
+async function fetch(address, { log, chains: chainKeys }) {
+  const chainId = key => chains.getChain(key).providerIds[ID];
+
+  log(`  ↳ Fetching active chains and wallet tokens... `);
+  const [usedChains, allTokens] = await Promise.all([getUsedChains(address), getAllTokens(address)]);
+  // FILTER: Only keep chains that are in our target list
+  const targetKeys = chainKeys.filter(key => usedChains.includes(chainId(key)));
+  log(`  ↳ ${targetKeys.length}/${chainKeys.length} target chains active (${targetKeys.map(chainId).join(', ')}), ${allTokens.length} wallet tokens`);
+
+  const result = {};
+  chainKeys.forEach(key => {
+    if (!targetKeys.includes(key)) result[key] = { status: STATUS.EMPTY };
+  });
+
+  // Chains are requested in parallel; the scheduler keeps us within the API budget
+  const outcomes = await Promise.allSettled(targetKeys.map(key => getProtocolList(address, chainId(key))));
+  outcomes.forEach((outcome, idx) => {
+    const key = targetKeys[idx];
+    const tokens = allTokens.filter(token => token.chain === chainId(key));
+    if (outcome.status === 'rejected') {
+      result[key] = { status: STATUS.FAILED, error: outcome.reason.message };
+    } else if (outcome.value.length === 0 && tokens.length === 0) {
+      result[key] = { status: STATUS.EMPTY };
+    } else {
+      result[key] = { status: STATUS.SUCCESS, data: { protocols: outcome.value, tokens } };
+    }
+  });
+  return result;
+}
+
+// DeBank's verification fields, for the risk classification (absent on some tokens)
+function tokenFlags(token) {
+  if (token.is_verified === undefined && token.is_core === undefined) return {};
+  return { flags: { is_verified: token.is_verified, is_core: token.is_core } };
+}
+
+// DeBank token ids are contract addresses, except the native token whose id is
+// the DeBank chain id (e.g. "eth", "arb")
+function tokenIdentity(token, chainKey) {
+  if (!chainKey) return {};
+  const native = token.id === chains.getChain(chainKey).providerIds[ID];
+  return { chain: chainKey, address: native ? NATIVE : normalizeAddress(token.id) };
+}
+
+// A portfolio item's position: one per item name and pool, so two markets of
+// the same protocol (e.g. Aave V3 Core and Prime) stay apart. The pool is its
+// contract (the controller; pool ids can carry a suffix after it), which is
+// what Zerion reports as the pool address.
+function positionOf(item) {
+  const poolId = item.pool && item.pool.id ? String(item.pool.id).toLowerCase() : null;
+  const pool = poolId ? normalizeAddress(item.pool.controller || poolId) : null;
+  const name = item.name || null;
+  return {
+    id: poolId ? `${name}:${poolId}` : (name || 'position'),
+    name,
+    pool,
+    healthRate: item.detail && typeof item.detail.health_rate === 'number' ? item.detail.health_rate : null,
+    value: 0
+  };
+}
+
+// Position of a protocol by id, created on first use
+function ensurePosition(proto, position) {
+  let existing = proto.positions.find(p => p.id === position.id);
+  if (!existing) {
+    existing = position;
+    proto.positions.push(existing);
+  }
+  return existing;
+}
+
+// Normalize DeBank Protocol Data. Raw files are { protocols, tokens }; files
+// written before wallet balances were fetched hold the protocol list only.
+function normalize(raw, chainKey) {
+  const protocols = {};
+  let totalValue = 0;
+
+  const chainData = Array.isArray(raw) ? raw : (raw && raw.protocols) || [];
+  const walletTokens = Array.isArray(raw) ? [] : (raw && raw.tokens) || [];
+
+  chainData.forEach(proto => {
+    // DeBank "Name" is usually the Protocol Name (e.g. "Aave V3")
+    const protoName = proto.name || 'Unknown';
+
+    if (!protocols[protoName]) {
+      protocols[protoName] = {
+        name: protoName,
+        id: proto.id,
+        value: 0,
+        positions: [],
+        assets: []
+      };
+    }
+
+    // Each portfolio item is a position (Lending, Farming, Liquidity Pool, ...)
+    proto.portfolio_item_list.forEach(item => {
+      const val = item.stats.net_usd_value || 0;
+      protocols[protoName].value += val;
+      totalValue += val;
+
+      const position = ensurePosition(protocols[protoName], positionOf(item));
+      position.value += val;
+
+      const pushToken = (token, type, sign = 1) => {
+        protocols[protoName].assets.push({
+          symbol: token.symbol.trim(), // Normalize symbol
+          ...tokenIdentity(token, chainKey),
+          amount: token.amount,
+          price: token.price,
+          value: (token.amount * token.price) * sign,
+          type: type,
+          ...tokenFlags(token),
+          position: position.id
+        });
+      };
+
+      // Extract tokens from detail
+      if (item.detail && item.detail.supply_token_list) {
+        item.detail.supply_token_list.forEach(token => pushToken(token, 'supply'));
+      }
+      if (item.detail && item.detail.borrow_token_list) {
+        // Debt carries a negative value
+        item.detail.borrow_token_list.forEach(token => pushToken(token, 'borrow', -1));
+      }
+      if (item.detail && item.detail.reward_token_list) {
+        item.detail.reward_token_list.forEach(token => pushToken(token, 'reward'));
+      }
+      // Handle Vesting (Single Token in Detail)
+      if (item.detail && item.detail.token) {
+        pushToken(item.detail.token, 'vesting'); // Treat as supply/vesting
+      }
+    });
+  });
+
+  // Wallet balances go to the "Wallet" pseudo-protocol. Liquid staking tokens go
+  // to their issuing protocol, unless DeBank already reports it (e.g. stETH under Lido).
+  const reported = Object.keys(protocols).map(name => name.toLowerCase());
+  walletTokens.forEach(token => {
+    const identity = tokenIdentity(token, chainKey);
+    const issuer = issuingProtocol(identity.chain, identity.address);
+    if (issuer && reported.includes(issuer.toLowerCase())) return;
+
+    const protoName = issuer || WALLET_PROTOCOL;
+    if (!protocols[protoName]) {
+      protocols[protoName] = { name: protoName, id: protoName.toLowerCase(), value: 0, positions: [], assets: [] };
+    }
+    const position = ensurePosition(protocols[protoName], {
+      id: WALLET_POSITION,
+      name: WALLET_PROTOCOL,
+      pool: null,
+      healthRate: null,
+      value: 0
+    });
+    const val = token.amount * token.price;
+    protocols[protoName].value += val;
+    position.value += val;
+    totalValue += val;
+    protocols[protoName].assets.push({
+      symbol: token.symbol.trim(),
+      ...identity,
+      amount: token.amount,
+      price: token.price,
+      value: val,
+      type: 'wallet',
+      ...tokenFlags(token),
+      position: position.id
+    });
+  });
+
+  return { protocols, totalValue };
+}
+
+module.exports = {
+  id: ID,
+  name: formatProvider(ID),
+  apiKeyEnv: 'DEBANK_ACCESS_KEY',
+  dataDir: path.join(__dirname, '../../data'),
+  chainId: chainKey => chains.getChain(chainKey).providerIds[ID],
+  apiClient,
+  scheduler,
+  fetch,
+  normalize
+};
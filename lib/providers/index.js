@@ -0,0 +1,63 @@
+/**
+ * Portfolio provider adapters.
+ *
+ * Every adapter exports:
+ *   id          provider id, also the key of its side in comparison_data.json
+ *   name        display name
+ *   apiKeyEnv   env variable holding the API key (optional)
+ *   dataDir     directory holding raw responses as <dataDir>/<address>/<providerChainId>.json
+ *   chainId(chainKey)                map a registry chain key to the provider's chain id
+ *   apiClient                        axios instance every API call uses; its base URL comes from
+ *                                    <ID>_API_URL (e.g. ZERION_API_URL) and lib/replay.js records through it
+ *   scheduler                        RequestScheduler (lib/scheduler.js) all API calls go through
+ *   fetch(address, { log, chains })  fetch raw payloads for the given chain keys, resolved as
+ *                                    { [chainKey]: { status, data?, error? } } with a STATUS
+ *                                    from lib/manifest.js; throws if the whole address failed.
+ *                                    `pollDeadlineMs` in the context bounds waiting on a provider
+ *                                    that is still indexing the wallet (Zerion's 202)
+ *   normalize(raw, chainKey)         turn one raw chain payload into { protocols, totalValue }
+ *
+ * Normalized protocols list their positions { id, name, pool, healthRate, value } (a DeBank
+ * portfolio item, a Zerion position group); assets carry { symbol, chain, address, amount,
+ * price, value, type, position } with `position` the id of their position. Debt has a
+ * negative value. `address` is the lowercase token contract, or NATIVE from
+ * dashboard/lib/tokens.js for the chain's gas token. Plain wallet balances go into
+ * the WALLET_PROTOCOL pseudo-protocol, so totals are full net worth.
+ * To add a source, write an adapter, register it below and give every chain in
+ * dashboard/lib/chains.js an id for it.
+ */
+const path = require('path');
+
+// Load API keys before the adapters read them
+require('dotenv').config({ quiet: true });
+
+const debank = require('./debank');
+const zerion = require('./zerion');
+
+const ADAPTERS = {
+  [debank.id]: debank,
+  [zerion.id]: zerion
+};
+
+function getProvider(id) {
+  const adapter = ADAPTERS[id];
+  if (!adapter) {
+    throw new Error(`Unknown provider "${id}". Available: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return adapter;
+}
+
+function listProviders() {
+  return Object.values(ADAPTERS);
+}
+
+// Raw data directory of a provider, optionally relocated under another root
+function resolveDataDir(provider, rootDir) {
+  return rootDir ? path.join(rootDir, path.basename(provider.dataDir)) : provider.dataDir;
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  resolveDataDir
+};
@@ -0,0 +1,276 @@
+const path = require('path');
+const axios = require('axios');
+const chains = require('../../dashboard/lib/chains');
+const { formatProvider } = require('../../dashboard/lib/providers');
+const { WALLET_PROTOCOL, WALLET_POSITION, normalizeAddress, issuingProtocol } = require('../../dashboard/lib/tokens');
+const { sleep, parseDuration } = require('../utils');
+const { createScheduler } = require('../scheduler');
+const { STATUS } = require('../manifest');
+
+const ID = 'zerion';
+
+// Load Env Variables
+const API_KEY = process.env.ZERION_API_KEY;
+const BASE_URL = process.env.ZERION_API_URL || 'https://api.zerion.io/v1';
+
+// Polling while Zerion indexes a wallet (202). Override the deadline with
+// ZERION_POLL_DEADLINE (e.g. 5m) or fetch --poll-deadline.
+const POLL = {
+  deadlineMs: parseDuration(process.env.ZERION_POLL_DEADLINE || '') ?? 2 * 60 * 1000,
+  firstDelayMs: 2000,
+  maxDelayMs: 15000
+};
+
+const PAGE_SIZE = 100; // Zerion's maximum
+const MAX_PAGES = 50;
+
+// Zerion position types that represent debt
+const DEBT_TYPES = ['loan', 'borrowed'];
+
+// Create axios instance with default config
+const createApiClient = () => {
+  const config = {
+    baseURL: BASE_URL,
+    headers: {
+      'accept': 'application/json',
+      'authorization': `Basic ${Buffer.from(API_KEY + ':').toString('base64')}`
+    },
+    timeout: 15000
+  };
+
+  return axios.create(config);
+};
+
+const apiClient = createApiClient();
+
+// Every Zerion request goes through this scheduler (override with ZERION_CONCURRENCY / ZERION_RPS)
+const scheduler = createScheduler(ID, { name: formatProvider(ID), concurrency: 2, requestsPerSecond: 2 });
+
+/**
+ * Fetch every position of a wallet from Zerion, following the JSON:API
+ * `links.next` pages.
+ * Endpoint: /wallets/{address}/positions
+ * Docs: https://developers.zerion.io/reference/listwalletpositions
+ *
+ * Zerion answers 202 while it is still indexing a wallet; the request is polled
+ * with a growing delay until the deadline. Positions are complete only when the
+ * last page was reached: a failed page, a deadline hit between pages or
+ * MAX_PAGES make the result truncated. Throws when the first page fails.
+ * @param {string} address
+ * @param {{ log?: Function, pollDeadlineMs?: number }} [options]
+ * @returns {Promise<{ coverage: string, positions: Object[], pages: number, reason?: string }>}
+ *   coverage: 'complete', 'truncated' or 'unavailable' (still indexing at the deadline, no positions)
+ */
+async function getWalletPositions(address, { log = () => {}, pollDeadlineMs = POLL.deadlineMs } = {}) {
+  const deadline = Date.now() + pollDeadlineMs;
+  const positions = [];
+  let pages = 0;
+  let pollDelayMs = POLL.firstDelayMs;
+
+  // Liquidity pools (Uniswap, Curve, Balancer, etc.) return multiple positions,
+  // one for each token in the pool, so protocol positions are included here.
+  // 429s are retried by the scheduler.
+  let url = `/wallets/${address}/positions`;
+  let params = {
+    'currency': 'usd',
+    'filter[positions]': 'no_filter',
+    'filter[trash]': 'no_filter',
+    'page[size]': PAGE_SIZE
+  };
+  const cutOff = reason => (pages === 0
+    ? { coverage: 'unavailable', positions, pages, reason }
+    : { coverage: 'truncated', positions, pages, reason });
+
+  while (url) {
+    if (pages >= MAX_PAGES) return cutOff(`stopped after ${MAX_PAGES} pages`);
+
+    let response;
+    try {
+      response = await scheduler.schedule(() => apiClient.get(url, { params }));
+    } catch (e) {
+      if (pages === 0) throw e;
+      return cutOff(`page ${pages + 1} failed: ${e.message}`);
+    }
+
+    if (response.status === 202) {
+      const waitMs = Math.min(pollDelayMs, deadline - Date.now());
+      if (waitMs <= 0) return cutOff(`still indexing after ${Math.round(pollDeadlineMs / 1000)}s`);
+      log(`  ⏳ Zerion is indexing the wallet (202), polling again in ${(waitMs / 1000).toFixed(1)}s...`);
+      await sleep(waitMs, waitMs);
+      pollDelayMs = Math.min(pollDelayMs * 2, POLL.maxDelayMs);
+      continue;
+    }
+
+    // JSON:API format: data is an array of position objects
+    if (!Array.isArray(response.data?.data)) {
+      if (pages === 0) throw new Error('Unexpected positions response format');
+      return cutOff(`page ${pages + 1} has an unexpected format`);
+    }
+    positions.push(...response.data.data);
+    pages++;
+
+    // The next link carries the query, cursor included
+    url = response.data.links?.next || null;
+    params = undefined;
+  }
+  return { coverage: 'complete', positions, pages };
+}
+
+/**
+ * Fetch all positions of an address and split them per target chain.
+ * Every chain of a truncated fetch is saved as truncated, with its meta
+ * recording why; a chain without positions may have them on the missing pages.
+ * @param {string} address
+ * @param {{ log: Function, chains: string[], pollDeadlineMs?: number }} context Target registry chain keys
+ * @returns {Promise<Object>} { [chainKey]: { status, data?, error? } }
+ */
+async function fetch(address, { log, chains: chainKeys, pollDeadlineMs }) {
+  const { coverage, positions, pages, reason } = await getWalletPositions(address, { log, pollDeadlineMs });
+  const result = {};
+  if (coverage === 'unavailable') {
+    log(`  ↳ Unavailable: ${reason}`);
+    chainKeys.forEach(key => {
+      result[key] = { status: STATUS.UNAVAILABLE, error: reason };
+    });
+    return result;
+  }
+  log(`  ↳ Got ${positions.length} positions in ${pages} page(s)${coverage === 'truncated' ? `, truncated: ${reason}` : ''}`);
+
+  // Group positions by Chain
+  // Structure: data[i].relationships.chain.data.id (e.g. "ethereum")
+  const chainData = {};
+  positions.forEach(pos => {
+    const chainId = pos.relationships?.chain?.data?.id;
+    if (!chainId) return;
+    if (!chainData[chainId]) chainData[chainId] = [];
+    chainData[chainId].push(pos);
+  });
+
+  chainKeys.forEach(key => {
+    const chainId = chains.getChain(key).providerIds[ID];
+    const chainPositions = chainData[chainId] || [];
+    if (coverage === 'complete' && chainPositions.length === 0) {
+      result[key] = { status: STATUS.EMPTY };
+      return;
+    }
+    const meta = {
+      chain_id: chainId,
+      address: address,
+      timestamp: new Date().toISOString(),
+      coverage,
+      pages
+    };
+    if (reason) meta.truncated_reason = reason;
+    result[key] = {
+      status: coverage === 'complete' ? STATUS.SUCCESS : STATUS.TRUNCATED,
+      data: { data: chainPositions, meta }
+    };
+    if (reason) result[key].error = reason;
+  });
+  return result;
+}
+
+// Token contract on this chain, from the fungible's per-chain implementations
+// (a null address is the native token)
+function tokenIdentity(fungibleInfo, chainKey) {
+  if (!chainKey) return {};
+  const chainId = chains.getChain(chainKey).providerIds[ID];
+  const impl = (fungibleInfo?.implementations || []).find(i => i.chain_id === chainId);
+  if (!impl) return {};
+  return { chain: chainKey, address: normalizeAddress(impl.address) };
+}
+
+// Position of a Zerion position: its group (positions of one pool share a
+// group id), else its pool contract. Protocol positions without either share a
+// default position; wallet assets go to the wallet position.
+function positionOf(attrs) {
+  const pool = attrs.pool_address ? normalizeAddress(attrs.pool_address) : null;
+  if (!attrs.protocol) {
+    return { id: WALLET_POSITION, name: WALLET_PROTOCOL, pool: null, healthRate: null, value: 0 };
+  }
+  return { id: attrs.group_id || pool || 'default', name: attrs.name || null, pool, healthRate: null, value: 0 };
+}
+
+// Normalize Zerion Protocol Data
+function normalize(chainDataRaw, chainKey) {
+  const protocols = {};
+  let totalValue = 0;
+
+  // Check for 'data' wrapper or direct array (Zerion script output wrapper)
+  let items = [];
+  if (chainDataRaw.data && Array.isArray(chainDataRaw.data)) {
+    items = chainDataRaw.data;
+  } else if (Array.isArray(chainDataRaw)) {
+    items = chainDataRaw;
+  }
+
+  items.forEach(pos => {
+    const attrs = pos.attributes;
+    if (!attrs) return;
+
+    const identity = tokenIdentity(attrs.fungible_info, chainKey);
+
+    // Wallet assets (Protocol is null) go to the "Wallet" pseudo-protocol, except
+    // liquid staking tokens: DeBank lists those under the issuing protocol (e.g.
+    // wstETH under Lido). Names are mapped to the canonical ones from
+    // registry.yaml by generate.
+    const protoName = attrs.protocol || issuingProtocol(identity.chain, identity.address) || WALLET_PROTOCOL;
+
+    if (!protocols[protoName]) {
+      protocols[protoName] = {
+        name: protoName,
+        id: protoName, // Zerion doesn't give a stable slug ID easily here, use name
+        value: 0,
+        positions: [],
+        assets: []
+      };
+    }
+
+    let position = positionOf(attrs);
+    const existing = protocols[protoName].positions.find(p => p.id === position.id);
+    if (existing) position = existing;
+    else protocols[protoName].positions.push(position);
+
+    let type = attrs.position_type;
+    // Fix: Zerion 'locked' and 'staked' is equivalent to DeBank 'supply'
+    if (type === 'locked' || type === 'staked') {
+      type = 'supply';
+    }
+
+    // Debt carries a negative value so protocol values are net, like DeBank's
+    const val = (attrs.value || 0) * (DEBT_TYPES.includes(type) ? -1 : 1);
+    protocols[protoName].value += val;
+    position.value += val;
+    totalValue += val;
+
+    let symbol = attrs.fungible_info?.symbol || '?';
+    // Normalize symbols
+    symbol = symbol.trim();
+
+    protocols[protoName].assets.push({
+      symbol: symbol,
+      ...identity,
+      amount: attrs.quantity?.float || 0,
+      price: attrs.price || 0,
+      value: val,
+      type: type, // 'deposit', 'loan', etc.
+      // Token flags (verified) and position flags (is_trash) for the risk classification
+      flags: { ...attrs.fungible_info?.flags, ...attrs.flags },
+      position: position.id
+    });
+  });
+
+  return { protocols, totalValue };
+}
+
+module.exports = {
+  id: ID,
+  name: formatProvider(ID),
+  apiKeyEnv: 'ZERION_API_KEY',
+  dataDir: path.join(__dirname, '../../data_zerion'),
+  chainId: chainKey => chains.getChain(chainKey).providerIds[ID],
+  apiClient,
+  scheduler,
+  fetch,
+  normalize
+};
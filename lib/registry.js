@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const chains = require('../dashboard/lib/chains');
+const { validateRegistry, protocolAliases } = require('../dashboard/lib/registry');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '../registry.yaml');
+const REGISTRY_FILENAME = 'registry.json';
+
+/**
+ * Load and validate the protocol registry (YAML or JSON)
+ * @param {string} [filePath]
+ * @returns {Object} { version, protocols, knownIssues, tokens: { allow, deny }, profiles }
+ */
+function loadRegistry(filePath = DEFAULT_REGISTRY_FILE) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Registry file not found: ${filePath}`);
+  }
+
+  // JSON_SCHEMA keeps expiry dates as strings; JSON files parse as YAML too
+  const registry = yaml.load(fs.readFileSync(filePath, 'utf8'), { schema: yaml.JSON_SCHEMA });
+  const errors = validateRegistry(registry);
+  (registry && registry.protocols || []).forEach((entry, idx) => {
+    if (entry.chain && !chains.getChain(entry.chain)) errors.push(`protocols[${idx}]: unknown chain "${entry.chain}"`);
+  });
+  (registry && registry.knownIssues || []).forEach((rule, idx) => {
+    (Array.isArray(rule.chains) ? rule.chains : []).forEach(chain => {
+      if (!chains.getChain(chain)) errors.push(`knownIssues[${idx}]: unknown chain "${chain}"`);
+    });
+  });
+  const tokens = (registry && registry.tokens) || {};
+  ['allow', 'deny'].forEach(list => {
+    (tokens[list] || []).forEach((entry, idx) => {
+      if (entry.chain && !chains.getChain(entry.chain)) errors.push(`tokens.${list}[${idx}]: unknown chain "${entry.chain}"`);
+    });
+  });
+  const profiles = Array.isArray(registry && registry.profiles) ? registry.profiles : [];
+  profiles.forEach((profile, idx) => {
+    (Array.isArray(profile && profile.overrides) ? profile.overrides : []).forEach((override, i) => {
+      (Array.isArray(override && override.chains) ? override.chains : []).forEach(chain => {
+        if (!chains.getChain(chain)) errors.push(`profiles[${idx}].overrides[${i}]: unknown chain "${chain}"`);
+      });
+    });
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid registry ${filePath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    version: registry.version,
+    protocols: registry.protocols || [],
+    knownIssues: registry.knownIssues || [],
+    tokens: { allow: tokens.allow || [], deny: tokens.deny || [] },
+    profiles
+  };
+}
+
+// Add positions to a merged protocol; positions with the same id are combined
+function mergePositions(target, positions) {
+  positions.forEach(position => {
+    const existing = target.find(p => p.id === position.id);
+    if (existing) existing.value += position.value;
+    else target.push({ ...position });
+  });
+}
+
+/**
+ * Rename a provider's normalized protocols to their canonical names. Aliases
+ * are resolved in one pass, so swapped names (A -> B, B -> A) do not chain;
+ * protocols that end up with the same name are merged, positions included.
+ * @param {{ protocols: Object, totalValue: number }} normalized Output of an adapter's normalize()
+ * @param {Object} registry
+ * @param {string} providerId
+ * @param {string} chainKey
+ * @returns {{ protocols: Object, totalValue: number }}
+ */
+function applyAliases(normalized, registry, providerId, chainKey) {
+  const aliases = protocolAliases(registry, providerId, chainKey);
+  if (Object.keys(aliases).length === 0) return normalized;
+
+  const protocols = {};
+  Object.values(normalized.protocols).forEach(proto => {
+    const name = aliases[proto.id] || aliases[proto.name] || proto.name;
+    if (!protocols[name]) {
+      protocols[name] = { ...proto, name, assets: [...proto.assets] };
+      if (proto.positions) protocols[name].positions = proto.positions.map(p => ({ ...p }));
+      return;
+    }
+    protocols[name].value += proto.value;
+    protocols[name].assets.push(...proto.assets);
+    if (proto.positions) mergePositions(protocols[name].positions, proto.positions);
+  });
+  return { ...normalized, protocols };
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_FILE,
+  REGISTRY_FILENAME,
+  loadRegistry,
+  applyAliases
+};
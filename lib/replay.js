@@ -0,0 +1,186 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { readJson, writeJson, ensureDir } = require('./utils');
+
+// Query parameters the mock server's pagination owns; recordings are looked up without them
+const PAGE_PARAMS = ['page[after]', 'page[size]'];
+
+const DEFAULT_MOCK_PORT = 8600;
+
+/**
+ * Lookup key of a request: method, path and sorted query parameters
+ * @param {string} method
+ * @param {string} pathname
+ * @param {Object} query { [name]: string }
+ * @returns {string}
+ */
+function recordingKey(method, pathname, query) {
+  const params = Object.keys(query).sort().map(name => `${name}=${query[name]}`).join('&');
+  return `${method.toUpperCase()} ${pathname}${params ? '?' + params : ''}`;
+}
+
+// File name of a recording, readable and safe on every file system
+function recordingFilename(key) {
+  return key.toLowerCase().replace(/[^a-z0-9=.-]+/g, '_').replace(/^_+|_+$/g, '') + '.json';
+}
+
+function queryObject(searchParams) {
+  const query = {};
+  searchParams.forEach((value, name) => {
+    query[name] = value;
+  });
+  return query;
+}
+
+/**
+ * Save every successful response of an axios client as a recording under
+ * <dir>/<providerId>/, for the mock server to replay. Headers (API keys) are
+ * not recorded.
+ * @param {import('axios').AxiosInstance} apiClient
+ * @param {string} providerId
+ * @param {string} dir Recordings root
+ * @returns {number} Interceptor id (apiClient.interceptors.response.eject() removes it)
+ */
+function attachRecorder(apiClient, providerId, dir) {
+  const providerDir = path.join(dir, providerId);
+  return apiClient.interceptors.response.use(response => {
+    const url = new URL(apiClient.getUri(response.config));
+    const request = { method: (response.config.method || 'get').toUpperCase(), path: url.pathname, query: queryObject(url.searchParams) };
+    ensureDir(providerDir);
+    writeJson(path.join(providerDir, recordingFilename(recordingKey(request.method, request.path, request.query))), {
+      request,
+      status: response.status,
+      data: response.data
+    });
+    return response;
+  });
+}
+
+/**
+ * Load every recording below a directory
+ * @param {string} dir
+ * @returns {Map<string, { request, status, data }>} By recordingKey()
+ */
+function loadRecordings(dir) {
+  const recordings = new Map();
+  const walk = current => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) return walk(entryPath);
+      if (!entry.name.endsWith('.json')) return;
+      const recording = readJson(entryPath);
+      if (!recording || !recording.request) return;
+      const { method, path: pathname, query } = recording.request;
+      recordings.set(recordingKey(method, pathname, query || {}), recording);
+    });
+  };
+  if (fs.existsSync(dir)) walk(dir);
+  return recordings;
+}
+
+// One page of a recorded JSON:API list, with a links.next pointing back at the mock server
+function paginate(body, query, pageSize, pageUrl) {
+  const offset = Number(query['page[after]']) || 0;
+  const next = offset + pageSize;
+  const page = { ...body, data: body.data.slice(offset, next), links: { ...body.links, self: pageUrl(offset) } };
+  if (next < body.data.length) page.links.next = pageUrl(next);
+  else delete page.links.next;
+  return page;
+}
+
+/**
+ * Mock DeBank and Zerion API replaying recordings. DeBank paths are served as
+ * recorded (/v1/user/...), as are Zerion's (/v1/wallets/{address}/positions),
+ * so point DEBANK_API_URL at the server and ZERION_API_URL at <server>/v1.
+ *
+ * Scenario rules simulate API behavior, applied in order to requests whose
+ * path contains `path`, after the first `after` of them (default: 0) and at
+ * most `times` times each (default: always):
+ *   { path, status, after?, times?, retryAfter? }  answer with this status instead (202, 429, 500, ...)
+ *   { path, delayMs, after?, times? }              wait before answering (client timeouts)
+ *   { path, pageSize }                             split a recorded `data` list into JSON:API pages
+ * @param {Object} options
+ * @param {string} options.fixturesDir Recordings root (see attachRecorder)
+ * @param {Object[]} [options.scenarios]
+ * @returns {http.Server}
+ */
+function createMockServer(options) {
+  const recordings = loadRecordings(options.fixturesDir);
+  const scenarios = (options.scenarios || []).map(rule => ({ ...rule, seen: 0, used: 0 }));
+
+  // First rule of a kind that matches the path and has uses left
+  const takeRule = (pathname, kind) => {
+    const matching = scenarios.filter(r => r[kind] !== undefined && pathname.includes(r.path));
+    matching.forEach(r => r.seen++);
+    const rule = matching.find(r => r.seen > (r.after || 0) && (r.times === undefined || r.used < r.times));
+    if (rule) rule.used++;
+    return rule;
+  };
+
+  return http.createServer(async (req, res) => {
+    const origin = `http://${req.headers.host}`;
+    const url = new URL(req.url, origin);
+    const query = queryObject(url.searchParams);
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    const delay = takeRule(url.pathname, 'delayMs');
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay.delayMs));
+    if (res.destroyed) return;
+
+    const override = takeRule(url.pathname, 'status');
+    if (override) {
+      const headers = override.status === 429 ? { 'Retry-After': String(override.retryAfter ?? 1) } : {};
+      send(override.status, override.status === 202 ? {} : { error: `Simulated ${override.status}` }, headers);
+      return;
+    }
+
+    const lookup = { ...query };
+    PAGE_PARAMS.forEach(name => delete lookup[name]);
+    const recording = recordings.get(recordingKey(req.method, url.pathname, query)) ||
+      recordings.get(recordingKey(req.method, url.pathname, lookup));
+    if (!recording) {
+      send(404, { error: `No recording for ${recordingKey(req.method, url.pathname, query)}` });
+      return;
+    }
+
+    let body = recording.data;
+    const paging = scenarios.find(r => r.pageSize && url.pathname.includes(r.path));
+    if (paging && Array.isArray(body && body.data)) {
+      body = paginate(body, query, paging.pageSize, offset => {
+        const pageQuery = new URLSearchParams({ ...lookup, 'page[size]': String(paging.pageSize), ...(offset ? { 'page[after]': String(offset) } : {}) });
+        return `${origin}${url.pathname}?${pageQuery}`;
+      });
+    } else if (body && body.links && body.links.next) {
+      // Recorded next links point at the real API
+      const next = new URL(body.links.next);
+      body = { ...body, links: { ...body.links, next: `${origin}${next.pathname}${next.search}` } };
+    }
+    send(recording.status, body);
+  });
+}
+
+/**
+ * Start the mock API server
+ * @param {{ fixturesDir: string, scenarios?: Object[], port?: number }} options Port 0 picks a free one
+ * @returns {Promise<http.Server>} Resolves once listening
+ */
+function startMockServer(options) {
+  const server = createMockServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port === undefined ? DEFAULT_MOCK_PORT : options.port, () => resolve(server));
+  });
+}
+
+module.exports = {
+  DEFAULT_MOCK_PORT,
+  recordingKey,
+  attachRecorder,
+  loadRecordings,
+  createMockServer,
+  startMockServer
+};
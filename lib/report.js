@@ -0,0 +1,227 @@
+const { formatProvider } = require('../dashboard/lib/providers');
+const { formatChain } = require('../dashboard/lib/chains');
+const { DEFAULT_PROFILE } = require('../dashboard/lib/profiles');
+
+/**
+ * Per-wallet summary of a comparison file: net value reported by two providers
+ * and the gap between them.
+ * @param {Object} data Parsed comparison_data.json
+ * @param {string} left Provider id
+ * @param {string} right Provider id
+ * @param {Object[]} [addressBook] loadAddressBook() entries, for wallet labels
+ * @returns {Array<{ address: string, label: string|null, chains: number, left: number, right: number, gap: number }>}
+ */
+function summarizeComparison(data, left, right, addressBook = []) {
+  return Object.entries(data).map(([address, chainMap]) => {
+    const entry = addressBook.find(e => e.address === address.toLowerCase());
+    const row = { address, label: entry ? entry.label : null, chains: 0, left: 0, right: 0, gap: 0 };
+    Object.values(chainMap).forEach(entry => {
+      row.chains++;
+      if (entry[left]) row.left += entry[left].totalValue;
+      if (entry[right]) row.right += entry[right].totalValue;
+    });
+    row.gap = row.left - row.right;
+    return row;
+  }).sort((a, b) => Math.abs(b.gap) - Math.abs(a.gap));
+}
+
+const formatUsd = value => '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+function formatSummary(rows, leftName, rightName) {
+  const header = ['Address', 'Chains', leftName, rightName, 'Gap'];
+  const lines = rows.map(row => [
+    row.label ? `${row.address} (${row.label})` : row.address,
+    String(row.chains),
+    formatUsd(row.left),
+    formatUsd(row.right),
+    formatUsd(row.gap)
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+  const pad = cells => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ');
+  return [pad(header), widths.map(w => '-'.repeat(w)).join('  '), ...lines.map(pad)].join('\n');
+}
+
+// Export formats of the QA analysis (see dashboard/lib/report.js), by file extension
+const EXPORT_FORMATS = ['csv', 'json', 'md'];
+
+const labelOf = (addressBook, address) => {
+  const entry = addressBook.find(e => e.address === address.toLowerCase());
+  return entry ? entry.label : null;
+};
+
+// Text that spreadsheets would run as a formula (e.g. a protocol or token name
+// from a provider) is prefixed with a quote; numbers are left as they are
+const csvCell = value => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per mismatched asset
+ * @param {Object} analysis analyzeReport() output
+ * @param {Object[]} [addressBook] For wallet labels
+ * @returns {string}
+ */
+function formatIssuesCsv(analysis, addressBook = []) {
+  const header = ['address', 'label', 'chain', 'protocol', 'position', 'pool', 'symbol', 'type',
+    `${analysis.left}_value`, `${analysis.right}_value`, 'diff'];
+  const rows = analysis.issues.map(i => [
+    i.address, labelOf(addressBook, i.address), i.chain, i.protocol, i.position, i.pool, i.symbol, i.type,
+    i.leftVal, i.rightVal, i.diff
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Headline numbers of an analysis, as checked by --fail-on
+function reportSummary(analysis) {
+  return {
+    wallets: analysis.wallets,
+    passRate: analysis.passRate,
+    issues: analysis.issues.length,
+    highPriorityIssues: analysis.highPriorityIssues.length,
+    totalValueGap: analysis.totalValueGap,
+    priceAffectedValue: analysis.priceAffectedValue
+  };
+}
+
+/**
+ * Machine-readable QA report
+ * @param {Object} analysis analyzeReport() output
+ * @param {Object[]} [addressBook] For wallet labels
+ * @returns {string}
+ */
+function formatReportJson(analysis, addressBook = []) {
+  const withLabel = row => ({ ...row, label: labelOf(addressBook, row.address) });
+  return JSON.stringify({
+    left: analysis.left,
+    right: analysis.right,
+    mode: analysis.mode,
+    profile: analysis.profile,
+    summary: reportSummary(analysis),
+    actionItems: analysis.actionItems,
+    missingTokenStats: analysis.missingTokenStats,
+    highPriorityIssues: analysis.highPriorityIssues.map(withLabel),
+    issues: analysis.issues.map(withLabel),
+    priceDisagreements: analysis.priceDisagreements
+  }, null, 2) + '\n';
+}
+
+const mdCell = value => String(value).replace(/\|/g, '\\|');
+
+function mdTable(header, rows) {
+  return [header, header.map(() => '---'), ...rows].map(row => `| ${row.map(mdCell).join(' | ')} |`).join('\n');
+}
+
+/**
+ * Markdown summary for pasting into tickets: headline numbers, action items,
+ * most mismatched tokens and the largest issues
+ * @param {Object} analysis analyzeReport() output
+ * @param {Object} [options]
+ * @param {Object[]} [options.addressBook] For wallet labels
+ * @param {number} [options.limit] High-priority issues listed (default: 20)
+ * @returns {string}
+ */
+function formatReportMarkdown(analysis, { addressBook = [], limit = 20 } = {}) {
+  const leftName = formatProvider(analysis.left);
+  const rightName = formatProvider(analysis.right);
+  const summary = reportSummary(analysis);
+  const wallet = address => {
+    const label = labelOf(addressBook, address);
+    return label ? `${label} (\`${address}\`)` : `\`${address}\``;
+  };
+
+  const profile = analysis.profile && analysis.profile !== DEFAULT_PROFILE ? `, ${analysis.profile} profile` : '';
+  const lines = [
+    `## QA Report: ${leftName} vs ${rightName} (${analysis.mode} mode${profile})`,
+    '',
+    mdTable(['Wallets', 'Pass rate', 'Issues', 'High priority', 'Value gap', 'Price-affected value'], [[
+      summary.wallets,
+      `${summary.passRate}%`,
+      summary.issues,
+      summary.highPriorityIssues,
+      formatUsd(summary.totalValueGap),
+      formatUsd(summary.priceAffectedValue)
+    ]])
+  ];
+
+  if (analysis.actionItems.length > 0) {
+    lines.push('', '### Action Items', '');
+    analysis.actionItems.forEach(item => lines.push(`- ${item.critical ? '**' + item.title + '**' : item.title} (${item.type}): ${item.desc}`));
+  }
+
+  const tokens = Object.entries(analysis.missingTokenStats);
+  if (tokens.length > 0) {
+    lines.push('', '### Most Mismatched Tokens', '');
+    lines.push(mdTable(['Token', 'Issues', 'Max gap'], tokens.map(([symbol, stat]) => [symbol, stat.count, formatUsd(stat.maxDiff)])));
+  }
+
+  if (analysis.highPriorityIssues.length > 0) {
+    lines.push('', `### High-Priority Issues (gap > ${formatUsd(analysis.thresholds.highPriorityGap)})`, '');
+    lines.push(mdTable(['Wallet', 'Chain', 'Protocol', 'Token', leftName, rightName, 'Gap'],
+      analysis.highPriorityIssues.slice(0, limit).map(i => [
+        wallet(i.address),
+        formatChain(i.chain),
+        i.position ? `${i.protocol} / ${i.position}` : i.protocol,
+        i.symbol,
+        formatUsd(i.leftVal),
+        formatUsd(i.rightVal),
+        formatUsd(i.diff)
+      ])));
+    const more = analysis.highPriorityIssues.length - limit;
+    if (more > 0) lines.push('', `…and ${more} more.`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// --fail-on metrics: the summary field and whether the limit is a minimum or a maximum
+const FAIL_ON_METRICS = {
+  'pass-rate': { field: 'passRate', min: true },
+  'gap': { field: 'totalValueGap', min: false },
+  'issues': { field: 'issues', min: false },
+  'high': { field: 'highPriorityIssues', min: false }
+};
+
+/**
+ * Parse a --fail-on rule such as "pass-rate=95" or "gap=10000"
+ * @param {string} rule
+ * @returns {{ metric: string, limit: number }}
+ * @throws When the metric or limit is invalid
+ */
+function parseFailOn(rule) {
+  const match = /^([a-z-]+)=(\d+(?:\.\d+)?)$/.exec(String(rule).trim());
+  if (!match || !FAIL_ON_METRICS[match[1]]) {
+    throw new Error(`Invalid --fail-on "${rule}" (expected ${Object.keys(FAIL_ON_METRICS).join('|')}=<number>)`);
+  }
+  return { metric: match[1], limit: Number(match[2]) };
+}
+
+/**
+ * --fail-on rules the analysis breaches: pass-rate below its limit, or gap,
+ * issues and high-priority issues above theirs
+ * @param {Object} analysis analyzeReport() output
+ * @param {Array<{ metric: string, limit: number }>} rules parseFailOn() output
+ * @returns {string[]} One message per breached rule
+ */
+function checkThresholds(analysis, rules) {
+  const summary = reportSummary(analysis);
+  return rules.flatMap(({ metric, limit }) => {
+    const { field, min } = FAIL_ON_METRICS[metric];
+    const value = summary[field];
+    const breached = min ? value < limit : value > limit;
+    return breached ? [`${metric} is ${Math.round(value * 100) / 100}, ${min ? 'below' : 'above'} ${limit}`] : [];
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatUsd,
+  summarizeComparison,
+  formatSummary,
+  formatIssuesCsv,
+  formatReportJson,
+  formatReportMarkdown,
+  reportSummary,
+  parseFailOn,
+  checkThresholds
+};
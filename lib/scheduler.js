@@ -0,0 +1,185 @@
+/**
+ * Request scheduler shared by the provider adapters.
+ *
+ * Each provider owns one scheduler that caps in-flight requests (concurrency),
+ * spends a token-bucket requests-per-second budget, and retries 429 responses
+ * with exponential backoff. A Retry-After header pauses the whole provider, not
+ * just the request that hit the limit.
+ */
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class TokenBucket {
+  /**
+   * @param {number} ratePerSecond Tokens added per second; 0 or Infinity disables limiting
+   * @param {number} [capacity] Burst size (default: one second worth of tokens)
+   */
+  constructor(ratePerSecond, capacity) {
+    this.rate = ratePerSecond;
+    this.capacity = Math.max(1, capacity || Math.floor(ratePerSecond) || 1);
+    this.tokens = this.capacity;
+    this.last = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  get unlimited() {
+    return !this.rate || this.rate === Infinity;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.last) / 1000) * this.rate);
+    this.last = now;
+  }
+
+  /**
+   * Resolves once a token is available. Waiters are served in order.
+   * @returns {Promise<void>}
+   */
+  take() {
+    if (this.unlimited) return Promise.resolve();
+
+    const next = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await delay(((1 - this.tokens) / this.rate) * 1000);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = next;
+    return next;
+  }
+}
+
+/**
+ * Seconds or HTTP date from a Retry-After header, as milliseconds
+ * @param {string|number|undefined} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class RequestScheduler {
+  /**
+   * @param {Object} options
+   * @param {string} options.name Used in log lines
+   * @param {number} [options.concurrency] Max requests in flight
+   * @param {number} [options.requestsPerSecond] Token-bucket budget
+   * @param {number} [options.maxRetries] Retries after a 429
+   * @param {number} [options.baseDelayMs] First backoff step
+   * @param {number} [options.maxDelayMs] Backoff ceiling
+   * @param {{ log: Function }} [options.logger] Where retries are reported (default: console)
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.logger = console;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 60000;
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+    this.configure(options);
+  }
+
+  /**
+   * Change limits, e.g. from CLI flags. Takes effect for requests not yet started.
+   * @param {{ concurrency?: number, requestsPerSecond?: number, logger?: { log: Function } }} options
+   */
+  configure({ concurrency, requestsPerSecond, logger }) {
+    if (concurrency) this.concurrency = concurrency;
+    if (logger) this.logger = logger;
+    if (requestsPerSecond !== undefined) {
+      this.requestsPerSecond = requestsPerSecond;
+      this.bucket = new TokenBucket(requestsPerSecond);
+    }
+  }
+
+  async acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  backoffDelay(attempt, error) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) return retryAfter;
+    const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    // +/- 20% jitter so parallel requests do not retry in lockstep
+    return exponential * (0.8 + Math.random() * 0.4);
+  }
+
+  /**
+   * Run a request under the provider's limits
+   * @param {Function} request Returns a promise, typically an axios call
+   * @returns {Promise<*>} The request's result
+   */
+  async schedule(request) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      let result;
+      let error;
+      try {
+        const wait = this.pausedUntil - Date.now();
+        if (wait > 0) await delay(wait);
+        await this.bucket.take();
+        result = await request();
+      } catch (e) {
+        error = e;
+      } finally {
+        this.release();
+      }
+
+      if (!error) return result;
+
+      if (error.response?.status !== 429 || attempt >= this.maxRetries) throw error;
+
+      const waitMs = this.backoffDelay(attempt, error);
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + waitMs);
+      this.logger.log(`    ⏳ ${this.name} rate limited (429), retrying in ${(waitMs / 1000).toFixed(1)}s...`);
+      await delay(waitMs);
+    }
+  }
+}
+
+/**
+ * Scheduler for one provider, with limits from env (<ID>_CONCURRENCY,
+ * <ID>_RPS) falling back to the adapter's defaults
+ * @param {string} providerId
+ * @param {{ name: string, concurrency: number, requestsPerSecond: number }} defaults
+ * @returns {RequestScheduler}
+ */
+function createScheduler(providerId, defaults) {
+  const prefix = providerId.toUpperCase();
+  const envNumber = key => (process.env[key] ? Number(process.env[key]) : undefined);
+
+  return new RequestScheduler({
+    ...defaults,
+    concurrency: envNumber(`${prefix}_CONCURRENCY`) || defaults.concurrency,
+    requestsPerSecond: envNumber(`${prefix}_RPS`) ?? defaults.requestsPerSecond
+  });
+}
+
+module.exports = {
+  TokenBucket,
+  RequestScheduler,
+  parseRetryAfter,
+  createScheduler
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createApiHandler } = require('./api');
+
+const DASHBOARD_DIR = path.join(__dirname, '../dashboard');
+
+// The API can run the CLI and write triage.json without authentication, so only
+// local clients reach it unless a wider host is asked for
+const DEFAULT_HOST = '127.0.0.1';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Dashboard server: the static files, plus the JSON API under /api/ (see api.js)
+ * @param {{ rootDir?: string, refetch?: Function }} [options] refetch: replaces the fetch + generate
+ *   run of a wallet refetch (see api.js)
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+  const rootDir = path.resolve(options.rootDir || DASHBOARD_DIR);
+  const api = createApiHandler({ rootDir, refetch: options.refetch });
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.startsWith('/api/')) {
+      api(req, res, url);
+      return;
+    }
+
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(url.pathname);
+    } catch (e) {
+      res.writeHead(400);
+      res.end('Bad Request');
+      return;
+    }
+    let filePath = path.join(rootDir, urlPath);
+
+    // Never serve anything outside the dashboard directory
+    if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      return;
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+    if (!fs.existsSync(filePath)) {
+      res.writeHead(404);
+      res.end('Not Found');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+/**
+ * Start the dashboard server
+ * @param {{ port?: number, host?: string, rootDir?: string, refetch?: Function }} [options] Port 0 picks a
+ *   free one; host defaults to 127.0.0.1
+ * @returns {Promise<http.Server>} Resolves once listening
+ */
+function startServer(options = {}) {
+  const server = createServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port === undefined ? 8000 : options.port, options.host || DEFAULT_HOST, () => resolve(server));
+  });
+}
+
+module.exports = {
+  DASHBOARD_DIR,
+  DEFAULT_HOST,
+  createServer,
+  startServer
+};
@@ -0,0 +1,56 @@
+const path = require('path');
+const { readJson, writeJson, ensureDir } = require('./utils');
+
+const SNAPSHOT_DIRNAME = 'snapshots';
+const INDEX_FILENAME = 'index.json';
+
+/**
+ * Dated copies of comparison_data.json, kept next to it in <outDir>/snapshots/
+ * so the dashboard can load them. index.json lists every snapshot, oldest first.
+ */
+
+function snapshotDir(outDir) {
+  return path.join(outDir, SNAPSHOT_DIRNAME);
+}
+
+/**
+ * @param {string} outDir Directory holding comparison_data.json
+ * @returns {Array<{ id: string, file: string, createdAt: string, addresses: number }>}
+ */
+function listSnapshots(outDir) {
+  const index = readJson(path.join(snapshotDir(outDir), INDEX_FILENAME));
+  return index ? index.snapshots : [];
+}
+
+/**
+ * Store comparison data as a new snapshot and add it to the index
+ * @param {Object} data comparison_data.json content
+ * @param {string} outDir Directory holding comparison_data.json
+ * @param {Date} [createdAt]
+ * @returns {{ id: string, file: string, createdAt: string, addresses: number }}
+ */
+function saveSnapshot(data, outDir, createdAt = new Date()) {
+  const dir = snapshotDir(outDir);
+  ensureDir(dir);
+
+  const id = createdAt.toISOString().replace(/[:.]/g, '-');
+  const entry = {
+    id,
+    file: `${id}.json`,
+    createdAt: createdAt.toISOString(),
+    addresses: Object.keys(data).length
+  };
+  writeJson(path.join(dir, entry.file), data);
+
+  const snapshots = listSnapshots(outDir).filter(s => s.id !== id);
+  snapshots.push(entry);
+  snapshots.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  writeJson(path.join(dir, INDEX_FILENAME), { snapshots });
+  return entry;
+}
+
+module.exports = {
+  SNAPSHOT_DIRNAME,
+  listSnapshots,
+  saveSnapshot
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+const Triage = require('../dashboard/lib/triage');
+const { readJson, writeJson } = require('./utils');
+
+/**
+ * The triage store, dashboard/triage.json, next to comparison_data.json.
+ * The rules are shared with the dashboard (dashboard/lib/triage.js).
+ */
+
+const TRIAGE_FILENAME = 'triage.json';
+
+/**
+ * @param {string} rootDir Dashboard directory
+ * @returns {Object} The store, empty when there is none yet
+ */
+function loadTriage(rootDir) {
+  return readJson(path.join(rootDir, TRIAGE_FILENAME)) || Triage.EMPTY_STORE;
+}
+
+/**
+ * Change one entry of the store and save it
+ * @param {string} rootDir Dashboard directory
+ * @param {string} key triageKey() of the discrepancy
+ * @param {Object} changes Any of status, note, assignee and link
+ * @returns {Object} The updated store
+ * @throws When the changes are invalid, listing every problem
+ */
+function updateTriage(rootDir, key, changes) {
+  // address|chain|protocol|symbol|type, then |position in protocols with several positions
+  if (![5, 6].includes(key.split('|').length)) throw new Error(`Invalid triage key "${key}"`);
+  const errors = Triage.validateChanges(changes);
+  if (errors.length > 0) throw new Error(`Invalid triage for ${key}: ${errors.join('; ')}`);
+  const store = Triage.setEntry(loadTriage(rootDir), key, changes);
+  writeJson(path.join(rootDir, TRIAGE_FILENAME), store);
+  return store;
+}
+
+module.exports = {
+  TRIAGE_FILENAME,
+  loadTriage,
+  updateTriage
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+
+// Sleep helper
+const sleep = (min, max) => {
+  const ms = Math.floor(Math.random() * (max - min + 1) + min);
+  return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping result order
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn (item, index) => Promise
+ * @returns {Promise<Array>}
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as "90", "30m", "6h" or "2d" (bare numbers are seconds)
+ * @param {string} value
+ * @returns {number|null} Milliseconds, or null if the value is not a duration
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/i.exec(String(value).trim());
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+}
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    console.error(`Error reading ${filePath}:`, e.message);
+    return null;
+  }
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+function ensureDir(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+}
+
+function getDirectories(srcPath) {
+  if (!fs.existsSync(srcPath)) return [];
+  return fs.readdirSync(srcPath).filter(file => {
+    return fs.statSync(`${srcPath}/${file}`).isDirectory();
+  });
+}
+
+module.exports = {
+  sleep,
+  mapLimit,
+  parseDuration,
+  readJson,
+  writeJson,
+  ensureDir,
+  getDirectories
+};
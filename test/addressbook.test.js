@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const addressBook = require('../dashboard/lib/addressbook');
+const { checkAddress, ingestAddressBook, loadAddressBook, loadAddresses, walletChains } = require('../lib/addresses');
+const { ENS_REGISTRY, namehash } = require('../lib/ens');
+const { generateComparison } = require('../lib/generate');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const AAVE_WHALE = '0x0b32aa5c1e71715206fe29b7badb21ad95f272c0';
+const LIDO_HOLDER = '0x4e5ed30e3b4eb39abce3c150f31e180a3ae5806e';
+
+function writeBook(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-compare-'));
+  const file = path.join(dir, 'addresses.yaml');
+  fs.writeFileSync(file, contents);
+  return { dir, file };
+}
+
+test('address book entries are validated, normalized and sorted', async () => {
+  const { dir, file } = writeBook([
+    `- 0x15b325660a1C4a9582a7d834C31119C0CB9e3A42`,
+    `- address: ${LIDO_HOLDER}`,
+    `  label: Lido holder`,
+    `  groups: [staking, core]`,
+    `  chains: [eth, 42161]`,
+    `- address: ${AAVE_WHALE}`,
+    `  label: Aave whale`,
+    `  groups: [core]`,
+    `  order: 1`,
+    `- address: 0x9d17bb55b57b31329cf01aa7017948e398b277bc`,
+    `  enabled: false`
+  ].join('\n'));
+
+  const book = loadAddressBook(file);
+  assert.deepEqual(book.map(e => e.address), [
+    AAVE_WHALE,
+    '0x15b325660a1C4a9582a7d834C31119C0CB9e3A42',
+    LIDO_HOLDER,
+    '0x9d17bb55b57b31329cf01aa7017948e398b277bc'
+  ]);
+  assert.deepEqual(book[2], {
+    address: LIDO_HOLDER,
+    label: 'Lido holder',
+    groups: ['staking', 'core'],
+    enabled: true,
+    chains: ['ethereum', 'arbitrum'],
+    order: null
+  });
+  assert.deepEqual(await loadAddresses(file), book.slice(0, 3).map(e => e.address.toLowerCase()));
+  assert.deepEqual(walletChains(book, LIDO_HOLDER, ['ethereum', 'base', 'arbitrum']), ['ethereum', 'arbitrum']);
+  assert.deepEqual(walletChains(book, AAVE_WHALE, ['ethereum', 'base']), ['ethereum', 'base']);
+
+  assert.deepEqual(addressBook.validateAddressBook([
+    { address: '0x123', groups: 'core', enabled: 'yes' },
+    { label: 'No address', order: 'first' }
+  ]), [
+    '[0]: groups must be a list',
+    '[0]: enabled must be true or false',
+    '[1]: missing address',
+    '[1]: order must be a number'
+  ]);
+  fs.writeFileSync(file, `- address: ${AAVE_WHALE}\n  chains: [solana]\n`);
+  assert.throws(() => loadAddressBook(file), /\[0\]: unknown chain "solana"/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('hex addresses need a valid EIP-55 checksum when mixed-case', () => {
+  [
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+    '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+    '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+  ].forEach(address => assert.deepEqual(checkAddress(address), { address: address.toLowerCase() }));
+
+  assert.deepEqual(checkAddress(AAVE_WHALE), { address: AAVE_WHALE });
+  assert.deepEqual(checkAddress(AAVE_WHALE.toUpperCase().replace('0X', '0x')), { address: AAVE_WHALE });
+  assert.match(checkAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD').error, /expected 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed/);
+  assert.match(checkAddress('0x0b32aa5c1e71715206fe29b7badb21ad95f272').error, /40 hex digits/);
+  assert.match(checkAddress('0xzz32aa5c1e71715206fe29b7badb21ad95f272c0').error, /40 hex digits/);
+});
+
+// Minimal JSON-RPC node answering the registry and resolver calls for the given names
+async function startEnsNode(records) {
+  const RESOLVER = '0x' + '42'.repeat(20);
+  const word = address => '0x' + address.slice(2).padStart(64, '0');
+  const nodes = new Map(Object.entries(records).map(([name, address]) => [namehash(name).slice(2), address]));
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, params: [{ to, data }] } = JSON.parse(body);
+      const address = nodes.get(data.slice(10));
+      let result = word('0x');
+      if (address && to === ENS_REGISTRY) result = word(RESOLVER);
+      if (address && to === RESOLVER) result = word(address);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  return server;
+}
+
+test('ingestion resolves ENS names, drops duplicates and reports rejected entries', async () => {
+  assert.equal(namehash('eth'), '0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae');
+  assert.equal(namehash('Foo.eth'), '0xde9b09fd7c5f901e23a3f19fecc54828e9c848539801e86591bd9801b019f84f');
+
+  const server = await startEnsNode({ 'whale.eth': AAVE_WHALE, 'lido.eth': LIDO_HOLDER });
+  const rpcUrl = `http://localhost:${server.address().port}`;
+  const book = addressBook.normalizeAddressBook([
+    { address: 'lido.eth', label: 'Lido holder' },
+    AAVE_WHALE,
+    'Whale.eth',
+    LIDO_HOLDER.toUpperCase().replace('0X', '0x'),
+    'nobody.eth',
+    '0x0b32aa5c1e71715206fe29b7badb21ad95f272',
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD'
+  ]);
+  const { entries, rejected, duplicates } = await ingestAddressBook(book, { rpcUrl });
+  server.close();
+
+  assert.deepEqual(entries.map(e => [e.address, e.ens, e.label]), [
+    [LIDO_HOLDER, 'lido.eth', 'Lido holder'],
+    [AAVE_WHALE, undefined, null]
+  ]);
+  assert.deepEqual(duplicates, [
+    { input: 'Whale.eth', duplicateOf: AAVE_WHALE },
+    { input: LIDO_HOLDER.toUpperCase().replace('0X', '0x'), duplicateOf: 'lido.eth' }
+  ]);
+  assert.deepEqual(rejected.map(r => r.input), ['nobody.eth', '0x0b32aa5c1e71715206fe29b7badb21ad95f272', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD']);
+  assert.match(rejected[0].reason, /^ENS name not resolved: nobody\.eth has no resolver/);
+  assert.match(rejected[2].reason, /EIP-55 checksum/);
+});
+
+test('the sidebar filter matches labels, addresses and groups', () => {
+  const book = addressBook.normalizeAddressBook([
+    { address: AAVE_WHALE, label: 'Aave whale', groups: ['core', 'lending'] },
+    { address: LIDO_HOLDER, groups: ['staking'] }
+  ]);
+  const visible = filter => book.filter(entry => addressBook.matchesFilter(entry, filter)).map(e => e.address);
+
+  assert.deepEqual(addressBook.groupsOf(book), ['core', 'lending', 'staking']);
+  assert.deepEqual(visible({ query: 'WHALE' }), [AAVE_WHALE]);
+  assert.deepEqual(visible({ query: '0x4e5e' }), [LIDO_HOLDER]);
+  assert.deepEqual(visible({ query: 'stak' }), [LIDO_HOLDER]);
+  assert.deepEqual(visible({ group: 'core', query: '' }), [AAVE_WHALE]);
+  assert.deepEqual(visible({ group: 'core', query: 'lido' }), []);
+});
+
+test('generate follows the enabled wallets and chain overrides of the address book', () => {
+  const book = addressBook.normalizeAddressBook([
+    { address: AAVE_WHALE, chains: ['base'] },
+    { address: LIDO_HOLDER }
+  ]);
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-compare-'));
+  const { outputFile } = generateComparison({ addressBook: book, dataDir: FIXTURES_DIR, outDir, snapshot: false });
+  const data = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+
+  // The whale only has Ethereum data, which its override leaves out
+  assert.deepEqual(Object.keys(data[AAVE_WHALE]), []);
+  assert.deepEqual(Object.keys(data[LIDO_HOLDER]), ['ethereum']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(outDir, 'addresses.json'), 'utf8')), book);
+  fs.rmSync(outDir, { recursive: true, force: true });
+});
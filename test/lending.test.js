@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateComparison } = require('../lib/generate');
+const reconcile = require('../dashboard/lib/reconcile');
+const lending = require('../dashboard/lib/lending');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const AAVE_WHALE = '0x0b32aa5c1e71715206fe29b7badb21ad95f272c0';
+const PAIR = { left: 'debank', right: 'zerion' };
+
+function loadWhale() {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-compare-'));
+  const { outputFile } = generateComparison({ addresses: [AAVE_WHALE], dataDir: FIXTURES_DIR, outDir, snapshot: false });
+  const data = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+  fs.rmSync(outDir, { recursive: true, force: true });
+  return data[AAVE_WHALE].ethereum;
+}
+
+// One lending position per provider: [collateral, debt] in USD
+function lendingEntry(left, right) {
+  const side = ([collateral, debt]) => ({
+    protocols: {
+      Morpho: {
+        name: 'Morpho',
+        id: 'morpho',
+        value: collateral - debt,
+        assets: [
+          { symbol: 'WETH', amount: collateral / 2000, price: 2000, value: collateral, type: 'supply' },
+          { symbol: 'USDC', amount: debt, price: 1, value: -debt, type: 'borrow' }
+        ]
+      }
+    },
+    totalValue: collateral - debt
+  });
+  return { debank: side(left), zerion: side(right) };
+}
+
+test('health factors cross-check against the reported health rate', () => {
+  const protocols = reconcile.reconcileChain(loadWhale(), 'ethereum', PAIR);
+  const [aave] = lending.lendingPositions(protocols);
+
+  assert.equal(aave.protocol, 'Aave V3');
+  assert.deepEqual([aave.left.healthFactor, aave.left.reported], [1.52, true]);
+  // Zerion's legs with DeBank's effective liquidation threshold land close to the reported rate
+  assert.equal(aave.right.reported, false);
+  assert.ok(Math.abs(aave.right.healthFactor - 1.52) < 0.01);
+  assert.ok(aave.left.ltv > 0.3 && aave.left.ltv < 0.32);
+  assert.equal(aave.flagged, false);
+});
+
+test('debt disagreements and low health are flagged', () => {
+  const protocols = reconcile.reconcileChain(lendingEntry([10000, 5000], [10000, 6000]), 'ethereum', PAIR);
+  const [morpho] = lending.lendingPositions(protocols);
+
+  assert.equal(morpho.debtMismatch, true);
+  // No reported rate: the default liquidation threshold applies (0.8 x 10000 / 6000)
+  assert.ok(Math.abs(morpho.right.healthFactor - 4 / 3) < 1e-9);
+  assert.equal(morpho.lowHealth, false);
+  assert.equal(lending.lendingPositions(protocols, { minHealth: 1.5 })[0].lowHealth, true);
+
+  // A rule profile's fiat gap applies to the debt too
+  const thresholds = () => ({ ...reconcile.THRESHOLDS, fiatGap: 2000 });
+  assert.equal(lending.lendingPositions(protocols, { thresholds })[0].debtMismatch, false);
+});
+
+test('positions without debt are not lending positions', () => {
+  const protocols = reconcile.reconcileChain(lendingEntry([10000, 0], [10000, 0]), 'ethereum', PAIR);
+  assert.deepEqual(lending.lendingPositions(protocols), []);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATUS, RunManifest } = require('../lib/manifest');
+
+const WALLET = '0x0b32aa5c1e71715206fe29b7badb21ad95f272c0';
+const HOUR = 60 * 60 * 1000;
+
+test('needsFetch refetches failures and stale entries, and skips fresh ones under --resume', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-01T00:00:00.000Z') });
+  const manifest = new RunManifest(os.tmpdir());
+  // One chain per status, named after it
+  Object.values(STATUS).forEach(status => manifest.record('debank', WALLET, status, status));
+  const needs = options => Object.fromEntries(Object.values(STATUS).map(chain => [chain, manifest.needsFetch('debank', WALLET, chain, options)]));
+
+  // A plain run fetches everything; --resume only what did not come back whole
+  assert.deepEqual(needs({}), { success: true, empty: true, truncated: true, unavailable: true, failed: true });
+  assert.deepEqual(needs({ resume: true }), { success: false, empty: false, truncated: true, unavailable: true, failed: true });
+  assert.equal(manifest.needsFetch('debank', WALLET, 'base', { resume: true }), true);
+  assert.equal(manifest.needsFetch('zerion', WALLET, 'success', { resume: true }), true);
+  // Addresses are matched whatever their case
+  assert.equal(manifest.needsFetch('debank', WALLET.toUpperCase().replace('0X', '0x'), 'success', { resume: true }), false);
+
+  // --max-age skips entries up to that age, with or without --resume
+  t.mock.timers.tick(2 * HOUR);
+  assert.deepEqual(needs({ maxAgeMs: 3 * HOUR }), { success: false, empty: false, truncated: true, unavailable: true, failed: true });
+  assert.deepEqual(needs({ resume: true, maxAgeMs: HOUR }), { success: true, empty: true, truncated: true, unavailable: true, failed: true });
+});
+
+test('a partial run carries over the entries it did not fetch', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-01T00:00:00.000Z') });
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-manifest-'));
+  assert.equal(RunManifest.latestIn(rootDir), null);
+
+  const first = RunManifest.start(rootDir);
+  first.record('debank', WALLET, 'ethereum', STATUS.SUCCESS);
+  first.record('debank', WALLET, 'base', STATUS.FAILED, 'timeout of 30000ms exceeded');
+  first.record('zerion', WALLET, 'ethereum', STATUS.TRUNCATED);
+  first.save(true);
+
+  // The next run only gets as far as the failed chain before it stops
+  t.mock.timers.tick(HOUR);
+  const second = RunManifest.start(rootDir);
+  assert.equal(second.previousRunId, first.runId);
+  assert.equal(second.needsFetch('debank', WALLET, 'ethereum', { resume: true }), false);
+  assert.equal(second.needsFetch('debank', WALLET, 'base', { resume: true }), true);
+  second.record('debank', WALLET, 'base', STATUS.EMPTY);
+  second.save();
+
+  const saved = RunManifest.latestIn(rootDir);
+  assert.equal(saved.runId, second.runId);
+  assert.equal(saved.finishedAt, null);
+  assert.deepEqual(saved.summary, { success: 0, empty: 1, truncated: 0, unavailable: 0, failed: 0 });
+  assert.deepEqual(Object.values(saved.entries).map(entry => [entry.provider, entry.chain, entry.status, entry.runId]), [
+    ['debank', 'ethereum', STATUS.SUCCESS, first.runId],
+    ['debank', 'base', STATUS.EMPTY, second.runId],
+    ['zerion', 'ethereum', STATUS.TRUNCATED, first.runId]
+  ]);
+  assert.equal(saved.entries[`debank:${WALLET}:base`].error, undefined);
+
+  // A third run resumes from the partial one: the carried-over truncation is still retried
+  t.mock.timers.tick(HOUR);
+  const third = RunManifest.start(rootDir);
+  assert.equal(third.previousRunId, second.runId);
+  assert.equal(third.needsFetch('zerion', WALLET, 'ethereum', { resume: true }), true);
+  assert.equal(third.needsFetch('debank', WALLET, 'base', { resume: true }), false);
+  assert.equal(third.needsFetch('debank', WALLET, 'ethereum', { maxAgeMs: HOUR }), true);
+  assert.deepEqual(fs.readdirSync(path.join(rootDir, 'runs')).sort(), [`run-${first.runId}.json`, `run-${second.runId}.json`]);
+
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
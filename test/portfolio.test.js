@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const portfolio = require('../dashboard/lib/portfolio');
+
+const PAIR = { left: 'debank', right: 'zerion' };
+
+// A chain entry from protocol values per provider: { debank: { Name: value }, zerion: { ... } }
+function chainEntry(values) {
+  const entry = {};
+  Object.entries(values).forEach(([providerId, protocols]) => {
+    entry[providerId] = { protocols: {} };
+    Object.entries(protocols).forEach(([name, value]) => {
+      entry[providerId].protocols[name] = { name, value, assets: [] };
+    });
+  });
+  return entry;
+}
+
+const DATA = {
+  '0xa': {
+    arbitrum: chainEntry({ debank: { 'Aave V3': 30000, Wallet: 500 }, zerion: { 'Aave V3': 10000, Wallet: 500 } }),
+    ethereum: chainEntry({ debank: { Lido: 1000 }, zerion: { Lido: 1000 } })
+  },
+  '0xb': {
+    arbitrum: chainEntry({ debank: { 'Aave V3': 25000 }, zerion: { 'aave v3': 5000 } })
+  },
+  '0xc': {
+    arbitrum: chainEntry({ debank: { 'Aave V3': 100, GMX: 50 }, zerion: { 'Aave V3': 100 } })
+  }
+};
+
+test('wallets are summed by chain and protocol with their drill-down rows', () => {
+  const result = portfolio.aggregatePortfolio(DATA, ['0xa', '0xb', '0xc', '0xmissing'], {
+    ...PAIR,
+    isKnownWarning: name => name === 'GMX'
+  });
+
+  assert.equal(result.wallets, 3);
+  assert.deepEqual(result.totals, {
+    debank: { value: 56650, wallet: 500, count: 5 },
+    zerion: { value: 16600, wallet: 500, count: 4 }
+  });
+  assert.deepEqual(result.byChain.map(row => [row.chain, row.leftValue, row.rightValue, row.isDiff]), [
+    ['arbitrum', 55650, 15600, true],
+    ['ethereum', 1000, 1000, false]
+  ]);
+
+  // Protocol names are matched case-insensitively within a chain
+  const [aave] = result.byProtocol;
+  assert.deepEqual([aave.key, aave.protocol, aave.gap, aave.isDiff, aave.diffWallets], ['arbitrum:aave v3', 'Aave V3', 40000, true, 2]);
+  assert.deepEqual(aave.wallets.map(w => [w.address, w.gap, w.isDiff]), [
+    ['0xa', 20000, true],
+    ['0xb', 20000, true],
+    ['0xc', 0, false]
+  ]);
+
+  // Known issues are summed but never flagged
+  const gmx = result.byProtocol.find(row => row.protocol === 'GMX');
+  assert.deepEqual([gmx.gap, gmx.knownIssue, gmx.isDiff, gmx.diffWallets], [50, true, false, 0]);
+});
+
+test('the portfolio follows the chain filter and the transform', () => {
+  const result = portfolio.aggregatePortfolio(DATA, ['0xa', '0xb'], {
+    ...PAIR,
+    chains: ['ethereum'],
+    transform: entry => ({ ...entry, zerion: undefined })
+  });
+
+  assert.deepEqual(result.byChain.map(row => [row.chain, row.leftValue, row.rightValue]), [['ethereum', 1000, 0]]);
+  assert.deepEqual(result.byProtocol[0].wallets.map(w => w.address), ['0xa']);
+  assert.deepEqual(result.totals.zerion, { value: 0, wallet: 0, count: 0 });
+});
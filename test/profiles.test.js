@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const profiles = require('../dashboard/lib/profiles');
+const reconcile = require('../dashboard/lib/reconcile');
+const registryLib = require('../dashboard/lib/registry');
+const { analyzeReport } = require('../dashboard/lib/report');
+const { aggregatePortfolio } = require('../dashboard/lib/portfolio');
+const { diffSnapshots } = require('../dashboard/lib/snapshots');
+const { loadRegistry } = require('../lib/registry');
+const { compareRuns } = require('../lib/monitor');
+
+const PAIR = { left: 'debank', right: 'zerion' };
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+const REGISTRY = {
+  ...registryLib.EMPTY_REGISTRY,
+  profiles: [{
+    id: 'finance',
+    description: 'Accounting',
+    thresholds: { fiatGap: 100, highPriorityGap: 1000 },
+    overrides: [
+      { tokens: ['usdc', 'DAI'], thresholds: { pricePct: 0.06 } },
+      { chains: ['base'], tokens: ['USDC'], thresholds: { pricePct: 0.01 } },
+      { protocols: ['Aave V3'], thresholds: { highPriorityGap: 50 } }
+    ]
+  }]
+};
+
+// One USDC balance per wallet: `amount` priced 1 by DeBank, `rightAmount` priced `rightPrice` by Zerion
+function usdcWallet(chain, amount, rightPrice, rightAmount = amount) {
+  const usdc = (amount, price) => ({ symbol: 'USDC', chain, address: USDC, amount, price, value: amount * price, type: 'wallet' });
+  const side = (amount, price) => ({ protocols: { Wallet: { name: 'Wallet', id: 'Wallet', value: amount * price, assets: [usdc(amount, price)] } } });
+  return { [chain]: { debank: side(amount, 1), zerion: side(rightAmount, rightPrice) } };
+}
+
+test('profile thresholds resolve per chain, protocol and token', () => {
+  assert.deepEqual(profiles.listProfiles(REGISTRY), [
+    { id: 'default', description: null },
+    { id: 'finance', description: 'Accounting' }
+  ]);
+  assert.deepEqual(profiles.thresholdResolver(REGISTRY)({ symbol: 'USDC' }), profiles.DEFAULTS);
+
+  const thresholds = profiles.thresholdResolver(REGISTRY, 'finance');
+  assert.equal(thresholds().fiatGap, 100);
+  assert.equal(thresholds().pricePct, reconcile.THRESHOLDS.pricePct);
+  // Tokens match case-insensitively, either side of a pair symbol
+  assert.equal(thresholds({ chain: 'ethereum', symbol: 'USDC' }).pricePct, 0.06);
+  assert.equal(thresholds({ chain: 'ethereum', symbol: 'sDAI/DAI' }).pricePct, 0.06);
+  // Every list of an override must match; later overrides win
+  assert.equal(thresholds({ chain: 'base', symbol: 'USDC' }).pricePct, 0.01);
+  assert.equal(thresholds({ chain: 'base', symbol: 'WETH' }).pricePct, reconcile.THRESHOLDS.pricePct);
+  assert.equal(thresholds({ chain: 'base', protocol: 'aave v3' }).highPriorityGap, 50);
+
+  assert.throws(() => profiles.thresholdResolver(REGISTRY, 'ops'), /Unknown profile "ops"/);
+});
+
+test('a profile changes what the engine and the QA analysis flag', () => {
+  const data = { '0xa': usdcWallet('ethereum', 4000, 0.95), '0xb': usdcWallet('base', 3000, 0.95) };
+  const thresholds = profiles.thresholdResolver(REGISTRY, 'finance');
+
+  // 5% apart: a price mismatch by default, within the stablecoin tolerance on Ethereum only
+  const [wallet] = reconcile.reconcileChain(data['0xa'].ethereum, 'ethereum', { ...PAIR, thresholds });
+  assert.equal(wallet.assets[0].divergence, reconcile.DIVERGENCE.MATCH);
+  assert.deepEqual(reconcile.findPriceDisagreements(data, PAIR).map(t => t.chain), ['ethereum', 'base']);
+  assert.deepEqual(reconcile.findPriceDisagreements(data, { ...PAIR, thresholds }).map(t => t.chain), ['base']);
+
+  // $200 and $150 balance gaps: high priority by default, not above the finance profile's $1,000
+  const balances = { '0xa': usdcWallet('ethereum', 4000, 1, 3800), '0xb': usdcWallet('base', 3000, 1, 2850) };
+  const analysis = analyzeReport(balances, { ...PAIR, registry: REGISTRY, profile: 'finance' });
+  assert.equal(analysis.issues.length, 2);
+  assert.deepEqual(analysis.highPriorityIssues, []);
+  assert.equal(analysis.thresholds.highPriorityGap, 1000);
+  assert.equal(analyzeReport(balances, { ...PAIR, registry: REGISTRY }).highPriorityIssues.length, 2);
+});
+
+test('the snapshot diff, the portfolio and the monitor follow the profile', () => {
+  const thresholds = profiles.thresholdResolver(REGISTRY, 'finance');
+  // A $60 gap: a discrepancy by default, under the finance profile's $100
+  const before = { '0xa': usdcWallet('ethereum', 400, 1) };
+  const after = { '0xa': usdcWallet('ethereum', 400, 1, 340) };
+
+  assert.deepEqual(diffSnapshots(before, after, PAIR.left, PAIR.right).map(c => c.change), ['new', 'new']);
+  assert.deepEqual(diffSnapshots(before, after, PAIR.left, PAIR.right, { thresholds }), []);
+
+  assert.equal(aggregatePortfolio(after, ['0xa'], PAIR).byChain[0].isDiff, true);
+  assert.equal(aggregatePortfolio(after, ['0xa'], { ...PAIR, thresholds }).byChain[0].isDiff, false);
+
+  const issue = gap => ({ address: '0xa', chain: 'ethereum', protocol: 'Wallet', symbol: 'USDC', gap });
+  const run = gap => ({ issues: { 1: issue(gap) }, wallets: {} });
+  assert.deepEqual(compareRuns(run(200), run(260)).map(a => a.type), ['grown']);
+  assert.deepEqual(compareRuns(run(200), run(260), thresholds), []);
+});
+
+test('invalid profiles are rejected with every problem listed', () => {
+  assert.deepEqual(profiles.validateProfiles([
+    { id: 'default' },
+    { id: 'loose', thresholds: { pricePct: -1, speed: 2 } },
+    { id: 'loose', overrides: [{ thresholds: { fiatGap: 10 } }, { tokens: 'USDC', thresholds: { fiatGap: '10' } }] },
+    { description: 'No id' }
+  ]), [
+    'profiles[0]: "default" is the built-in profile',
+    'profiles[1]: pricePct must be a number of at least 0',
+    'profiles[1]: unknown threshold "speed"',
+    'profiles[2]: duplicate id "loose"',
+    'profiles[2].overrides[0]: needs chains, protocols or tokens',
+    'profiles[2].overrides[1]: tokens must be a list',
+    'profiles[2].overrides[1]: fiatGap must be a number of at least 0',
+    'profiles[3]: missing id'
+  ]);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-registry-'));
+  const file = path.join(dir, 'registry.json');
+  fs.writeFileSync(file, JSON.stringify({
+    version: registryLib.VERSION,
+    profiles: [{ id: 'qa', overrides: [{ chains: ['moonbeam'], thresholds: { pricePct: 0.01 } }] }]
+  }));
+  assert.throws(() => loadRegistry(file), /profiles\[0\]\.overrides\[0\]: unknown chain "moonbeam"/);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // The repository's profiles load with the registry
+  assert.ok(loadRegistry().profiles.some(profile => profile.id === 'finance'));
+});
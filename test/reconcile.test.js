@@ -0,0 +1,421 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateComparison } = require('../lib/generate');
+const reconcile = require('../dashboard/lib/reconcile');
+const tokens = require('../dashboard/lib/tokens');
+
+// Raw DeBank (protocol list, plus wallet tokens for LIDO_HOLDER) and Zerion
+// positions payloads for three wallets, laid out like data/ and data_zerion/
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const AAVE_WHALE = '0x0b32aa5c1e71715206fe29b7badb21ad95f272c0';
+const LIDO_HOLDER = '0x4e5ed30e3b4eb39abce3c150f31e180a3ae5806e';
+const BASE_FARMER = '0x5c9e30def85334e587cf36eb07bdd6a72bf1452d';
+const PAIR = { left: 'debank', right: 'zerion' };
+
+function loadFixtures() {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-compare-'));
+  const { outputFile } = generateComparison({
+    addresses: [AAVE_WHALE, LIDO_HOLDER, BASE_FARMER],
+    dataDir: FIXTURES_DIR,
+    outDir,
+    snapshot: false
+  });
+  const data = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+  fs.rmSync(outDir, { recursive: true, force: true });
+  return data;
+}
+
+const comparison = loadFixtures();
+
+const findProtocol = (protocols, name) => protocols.find(p => p.name === name);
+
+// Minimal chain entry: { debank: [[protocol, assets]], zerion: [[protocol, assets]] }
+function chainEntry(sides) {
+  const entry = {};
+  Object.entries(sides).forEach(([providerId, protocols]) => {
+    entry[providerId] = { protocols: {}, totalValue: 0 };
+    protocols.forEach(([name, assets]) => {
+      const value = assets.reduce((sum, a) => sum + a.value, 0);
+      entry[providerId].protocols[name] = { name, id: name, value, assets };
+      entry[providerId].totalValue += value;
+    });
+  });
+  return entry;
+}
+
+test('fixtures normalize into both providers per chain', () => {
+  assert.deepEqual(Object.keys(comparison).sort(), [AAVE_WHALE, LIDO_HOLDER, BASE_FARMER].sort());
+  assert.deepEqual(Object.keys(comparison[BASE_FARMER]), ['base']);
+  const aave = comparison[AAVE_WHALE].ethereum;
+  assert.ok(aave.debank.protocols['Aave V3'].value > 12e6);
+  // Zerion loans are negative after normalization
+  assert.ok(aave.zerion.protocols['Aave V3'].assets.filter(a => a.type === 'loan').every(a => a.value < 0));
+});
+
+test('assets of the same symbol pair by closest amount', () => {
+  const protocols = reconcile.reconcileChain(comparison[AAVE_WHALE].ethereum, 'ethereum', PAIR);
+  const usdt = findProtocol(protocols, 'Aave V3').assets.filter(a => a.symbol === 'USDT');
+
+  assert.equal(usdt.length, 2);
+  usdt.forEach(pair => {
+    assert.ok(pair.left && pair.right);
+    assert.ok(Math.abs(pair.left.amount - pair.right.amount) / pair.left.amount < reconcile.THRESHOLDS.matchPct);
+    assert.equal(pair.hasDiff, false);
+  });
+});
+
+test('matching amounts pair across differently named types', () => {
+  const protocols = reconcile.reconcileChain(comparison[BASE_FARMER].base, 'base', PAIR);
+  const merkl = findProtocol(protocols, 'Merkl');
+
+  merkl.assets.forEach(pair => {
+    assert.equal(pair.left.rawType, 'supply');
+    assert.equal(pair.right.rawType, 'reward');
+    assert.equal(pair.hasDiff, false);
+  });
+});
+
+test('type fallback pairs mismatched amounts and flags the rest', () => {
+  const protocols = reconcile.reconcileChain(comparison[BASE_FARMER].base, 'base', PAIR);
+  const seam = findProtocol(protocols, 'Seamless Protocol').assets.filter(a => a.symbol === 'SEAM');
+
+  // DeBank vesting vs Zerion reward: both "other", amounts differ
+  const fallback = seam.find(a => a.left && a.right);
+  assert.equal(fallback.left.rawType, 'vesting');
+  assert.equal(fallback.right.rawType, 'reward');
+  assert.equal(fallback.hasDiff, true);
+
+  const unmatched = seam.find(a => !a.left);
+  assert.equal(unmatched.right.rawType, 'supply');
+  assert.equal(unmatched.hasDiff, true);
+});
+
+test('fiat mode clears protocols within $1 or 10%', () => {
+  const protocols = reconcile.reconcileChain(comparison[BASE_FARMER].base, 'base', { ...PAIR, mode: 'fiat' });
+  const seamless = findProtocol(protocols, 'Seamless Protocol');
+
+  assert.equal(seamless.hasDiff, false);
+  assert.ok(seamless.assets.every(a => !a.hasDiff));
+});
+
+test('fiat mode flags assets whose quantity and value both disagree', () => {
+  const data = chainEntry({
+    debank: [['Pool', [
+      { symbol: 'ETH', amount: 10, price: 3000, value: 30000, type: 'supply' },
+      { symbol: 'USDC', amount: 500, price: 1, value: 500, type: 'supply' }
+    ]]],
+    zerion: [['Pool', [
+      { symbol: 'ETH', amount: 5, price: 3000, value: 15000, type: 'deposit' },
+      { symbol: 'USDC', amount: 500, price: 0.98, value: 490, type: 'deposit' }
+    ]]]
+  });
+  const [pool] = reconcile.reconcileChain(data, 'ethereum', { ...PAIR, mode: 'fiat' });
+
+  assert.equal(pool.hasDiff, true);
+  assert.equal(pool.assets.find(a => a.symbol === 'ETH').hasDiff, true);
+  // Same quantity: a price disagreement alone is not an asset diff
+  assert.equal(pool.assets.find(a => a.symbol === 'USDC').hasDiff, false);
+});
+
+test('pairing is an assignment, independent of input order', () => {
+  // Two 1INCH rows on each side; DeBank calls the claimable one supply, Zerion reward
+  const debank = [
+    { symbol: '1INCH', amount: 65.7189, price: 0.193, value: 12.68, type: 'supply' },
+    { symbol: '1INCH', amount: 19089.6688, price: 0.193, value: 3684.31, type: 'supply' }
+  ];
+  const zerion = [
+    { symbol: '1INCH', amount: 19089.6688, price: 0.1928, value: 3681.2, type: 'supply' },
+    { symbol: '1INCH', amount: 64.8013, price: 0.1929, value: 12.5, type: 'reward' }
+  ];
+  const pairsOf = entry => {
+    const [proto] = reconcile.reconcileChain(entry, 'ethereum', PAIR);
+    return proto.assets.map(a => [a.left && a.left.amount, a.right && a.right.amount]).sort((a, b) => a[0] - b[0]);
+  };
+
+  const expected = [[65.7189, 64.8013], [19089.6688, 19089.6688]];
+  assert.deepEqual(pairsOf(chainEntry({ debank: [['1inch', debank]], zerion: [['1inch', zerion]] })), expected);
+  assert.deepEqual(pairsOf(chainEntry({
+    debank: [['1inch', [...debank].reverse()]],
+    zerion: [['1inch', [...zerion].reverse()]]
+  })), expected);
+});
+
+test('paired assets are classified as quantity, price or both mismatches', () => {
+  const data = chainEntry({
+    debank: [['Pool', [
+      { symbol: 'AAA', amount: 10, price: 1, value: 10, type: 'supply' },
+      { symbol: 'BBB', amount: 10, price: 1, value: 10, type: 'supply' },
+      { symbol: 'CCC', amount: 10, price: 1, value: 10, type: 'supply' },
+      { symbol: 'DDD', amount: 10, price: 1, value: 10, type: 'supply' }
+    ]]],
+    zerion: [['Pool', [
+      { symbol: 'AAA', amount: 10, price: 1.005, value: 10.05, type: 'deposit' },
+      { symbol: 'BBB', amount: 8, price: 1, value: 8, type: 'deposit' },
+      { symbol: 'CCC', amount: 10, price: 1.2, value: 12, type: 'deposit' },
+      { symbol: 'DDD', amount: 8, price: 1.2, value: 9.6, type: 'deposit' }
+    ]]]
+  });
+  const [pool] = reconcile.reconcileChain(data, 'ethereum', PAIR);
+  const divergence = Object.fromEntries(pool.assets.map(a => [a.symbol, a.divergence]));
+
+  assert.deepEqual(divergence, {
+    AAA: reconcile.DIVERGENCE.MATCH,
+    BBB: reconcile.DIVERGENCE.QUANTITY,
+    CCC: reconcile.DIVERGENCE.PRICE,
+    DDD: reconcile.DIVERGENCE.BOTH
+  });
+  // A price mismatch alone is not a token-mode diff
+  assert.equal(pool.assets.find(a => a.symbol === 'CCC').hasDiff, false);
+});
+
+test('price disagreements are listed per token across wallets', () => {
+  const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+  const usdc = (amount, price) => ({ symbol: 'USDC', chain: 'ethereum', address: USDC, amount, price, value: amount * price, type: 'wallet' });
+  const wallet = (amount, rightPrice) => ({
+    ethereum: chainEntry({ debank: [['Wallet', [usdc(amount, 1)]]], zerion: [['Wallet', [usdc(amount, rightPrice)]]] })
+  });
+  const data = { '0xa': wallet(1000, 0.95), '0xb': wallet(3000, 0.95), '0xc': wallet(500, 1.001) };
+
+  const [token] = reconcile.findPriceDisagreements(data, PAIR);
+  assert.equal(token.symbol, 'USDC');
+  assert.equal(token.wallets, 3);
+  assert.ok(Math.abs(token.affectedValue - (4000 * 0.05 + 500 * 0.001)) < 1e-9);
+  assert.ok(token.priceDiffPct > reconcile.THRESHOLDS.pricePct);
+
+  assert.deepEqual(reconcile.findPriceDisagreements(data, { ...PAIR, threshold: 0.1 }), []);
+});
+
+test('supply and debt are never paired', () => {
+  const data = chainEntry({
+    debank: [['Lender', [{ symbol: 'USDC', amount: 1000, price: 1, value: 1000, type: 'supply' }]]],
+    zerion: [['Lender', [{ symbol: 'USDC', amount: 1000, price: 1, value: -1000, type: 'loan' }]]]
+  });
+  const [lender] = reconcile.reconcileChain(data, 'ethereum', PAIR);
+
+  assert.equal(lender.assets.length, 2);
+  assert.ok(lender.assets.every(a => a.hasDiff && a.confidence === null));
+});
+
+test('pairs carry a match confidence', () => {
+  const protocols = reconcile.reconcileChain(comparison[BASE_FARMER].base, 'base', PAIR);
+  const stargate = findProtocol(protocols, 'Stargate').assets[0];
+  const merkl = findProtocol(protocols, 'Merkl').assets.find(a => a.symbol === 'EUL');
+  const seam = findProtocol(protocols, 'Seamless Protocol').assets.find(a => a.symbol === 'SEAM' && a.left);
+
+  assert.equal(stargate.confidence, 1);
+  // Same amount, different type
+  assert.equal(merkl.confidence, 0.9);
+  assert.ok(seam.confidence < 0.6);
+});
+
+test('unpaired dust is hidden', () => {
+  const data = chainEntry({
+    debank: [['Farm', [
+      { symbol: 'CRV', amount: 100, price: 0.5, value: 50, type: 'supply' },
+      { symbol: 'DUST', amount: 1, price: 0.001, value: 0.001, type: 'reward' }
+    ]]],
+    zerion: [['Farm', [{ symbol: 'CRV', amount: 100, price: 0.5, value: 50, type: 'deposit' }]]]
+  });
+  const [farm] = reconcile.reconcileChain(data, 'ethereum', PAIR);
+
+  assert.deepEqual(farm.assets.map(a => a.symbol), ['CRV']);
+});
+
+test('assets carry their chain and token address', () => {
+  const lido = comparison[LIDO_HOLDER].ethereum;
+  const [steth, eth] = lido.debank.protocols.LIDO.assets;
+  assert.equal(steth.address, '0xae7ab96520de3a18e5e111b5eaab095312d7fe84');
+  assert.equal(eth.address, tokens.NATIVE);
+
+  // Zerion picks the implementation on this chain (USDC also lists its Ethereum contract)
+  const usdc = comparison[BASE_FARMER].base.zerion.protocols.Euler.assets[0];
+  assert.deepEqual([usdc.chain, usdc.address], ['base', '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913']);
+});
+
+test('wallet balances normalize into a Wallet protocol on both sides', () => {
+  const { debank, zerion } = comparison[LIDO_HOLDER].ethereum;
+  assert.deepEqual(debank.protocols.Wallet.assets.map(a => a.symbol), ['ETH', 'USDC']);
+  assert.deepEqual(zerion.protocols.Wallet.assets.map(a => a.symbol), ['ETH', 'USDC']);
+  assert.equal(zerion.protocols.Wallet.assets[0].address, tokens.NATIVE);
+  // stETH is also in DeBank's token list, but already counted under LIDO
+  assert.equal(debank.protocols.LIDO.assets.filter(a => a.symbol === 'stETH').length, 1);
+  assert.ok(Math.abs(debank.totalValue - zerion.totalValue) < 100);
+
+  const protocols = reconcile.reconcileChain(comparison[LIDO_HOLDER].ethereum, 'ethereum', PAIR);
+  assert.ok(findProtocol(protocols, 'Wallet').assets.every(a => !a.hasDiff && a.confidence === 1));
+
+  // Raw DeBank files holding only the protocol list still normalize
+  assert.equal(comparison[AAVE_WHALE].ethereum.debank.protocols.Wallet, undefined);
+});
+
+test('LST wrappers reconcile against the issuing protocol by value', () => {
+  // Zerion holds the Lido stake as a wstETH wallet position
+  const lido = comparison[LIDO_HOLDER].ethereum.zerion.protocols.Lido;
+  assert.deepEqual(lido.assets.map(a => a.symbol), ['wstETH']);
+
+  const protocols = reconcile.reconcileChain(comparison[LIDO_HOLDER].ethereum, 'ethereum', PAIR);
+  const [pair] = findProtocol(protocols, 'LIDO').assets;
+  assert.equal(pair.symbol, 'stETH/wstETH');
+  assert.equal(pair.hasDiff, false);
+  assert.ok(pair.confidence >= 0.9);
+});
+
+test('wrapped and native tokens pair by amount under one identity', () => {
+  const WPOL = '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270';
+  const data = chainEntry({
+    debank: [['Vault', [
+      { symbol: 'WMATIC', chain: 'polygon', address: WPOL, amount: 100, price: 0.5, value: 50, type: 'supply' },
+      { symbol: 'USDC', chain: 'polygon', address: '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359', amount: 10, price: 1, value: 10, type: 'supply' }
+    ]]],
+    zerion: [['Vault', [
+      { symbol: 'POL', chain: 'polygon', address: tokens.NATIVE, amount: 80, price: 0.5, value: 40, type: 'deposit' },
+      // Same symbol, different contract (bridged USDC.e): not the same token
+      { symbol: 'USDC', chain: 'polygon', address: '0x2791bca1f2de4661ed88a30c99a7a9449aa84174', amount: 10, price: 1, value: 10, type: 'deposit' }
+    ]]]
+  });
+  const [vault] = reconcile.reconcileChain(data, 'polygon', PAIR);
+  const pol = vault.assets.find(a => a.symbol === 'WMATIC/POL');
+
+  assert.equal(pol.hasDiff, true);
+  assert.equal(pol.confidence, 0.72);
+  assert.deepEqual(vault.assets.filter(a => a.symbol === 'USDC').map(a => Boolean(a.left)), [true, false]);
+});
+
+test('portfolio items and position groups normalize into positions', () => {
+  const POOL = '0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2';
+  const { debank, zerion } = comparison[AAVE_WHALE].ethereum;
+  const [lending] = debank.protocols['Aave V3'].positions;
+  assert.deepEqual([lending.name, lending.pool, lending.healthRate], ['Lending', POOL, 1.52]);
+  assert.ok(debank.protocols['Aave V3'].assets.every(a => a.position === lending.id));
+  assert.deepEqual(zerion.protocols['Aave V3'].positions.map(p => [p.id, p.pool]), [['aave-v3-ethereum-core', POOL]]);
+  // Seamless lists a Lending and a Vesting item
+  assert.deepEqual(comparison[BASE_FARMER].base.debank.protocols['Seamless Protocol'].positions.map(p => p.name), ['Lending', 'Vesting']);
+
+  // Same pool on both sides: one position pair carrying the health rate
+  const [position] = findProtocol(reconcile.reconcileChain(comparison[AAVE_WHALE].ethereum, 'ethereum', PAIR), 'Aave V3').positions;
+  assert.equal(position.pool, POOL);
+  assert.equal(position.leftPositions[0].healthRate, 1.52);
+});
+
+test('markets of one protocol are reconciled per position', () => {
+  const USDC = { symbol: 'USDC', chain: 'ethereum', address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', price: 1, type: 'supply' };
+  const market = (id, pool, amount) => ({
+    position: { id, name: 'Lending', pool, healthRate: null, value: amount },
+    asset: { ...USDC, amount, value: amount, position: id }
+  });
+  const side = markets => ({
+    protocols: {
+      'Aave V3': {
+        name: 'Aave V3',
+        id: 'aave3',
+        value: markets.reduce((sum, m) => sum + m.asset.value, 0),
+        positions: markets.map(m => m.position),
+        assets: markets.map(m => m.asset)
+      }
+    },
+    totalValue: 0
+  });
+  // Core matches; Prime is off. Pooled, the two USDC deposits would pair across markets
+  const data = {
+    debank: side([market('core', '0xcore', 1000), market('prime', '0xprime', 800)]),
+    zerion: side([market('z-core', '0xcore', 1000), market('z-prime', '0xprime', 500)])
+  };
+
+  const [aave] = reconcile.reconcileChain(data, 'ethereum', PAIR);
+  assert.deepEqual(aave.positions.map(p => [p.pool, p.assets.some(a => a.hasDiff)]), [['0xcore', false], ['0xprime', true]]);
+  assert.equal(aave.assets.length, 2);
+
+  const { protocols: diffs, issues } = reconcile.diffComparison({ '0xwallet': { ethereum: data } }, { ...PAIR, mode: 'token' });
+  assert.deepEqual(diffs.map(d => [d.position, d.pool, d.leftTotal, d.rightTotal]), [['Lending', '0xprime', 800, 500]]);
+  assert.deepEqual(issues.map(i => [i.pool, i.diff]), [['0xprime', 300]]);
+
+  // Positions a provider cannot place on a pool are pooled with the other side's
+  data.zerion.protocols['Aave V3'].positions.forEach(p => { p.pool = null; });
+  assert.equal(reconcile.reconcileChain(data, 'ethereum', PAIR)[0].positions.length, 1);
+});
+
+test('positions pair on their pool contract, whatever id each provider gives them', () => {
+  const debank = require('../lib/providers/debank');
+  const zerion = require('../lib/providers/zerion');
+  const CORE = '0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2';
+  const PRIME = '0x4e033931ad43597d96d6bcc25c280717730b58b1';
+  const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+  const checksummed = address => address.replace(/[a-f]/g, c => c.toUpperCase()).replace(/^0X/, '0x');
+  const lending = (pool, amount) => ({
+    name: 'Lending',
+    stats: { net_usd_value: amount },
+    detail: { supply_token_list: [{ id: USDC, symbol: 'USDC', amount, price: 1 }] },
+    pool
+  });
+  const deposit = (groupId, pool, amount) => ({
+    type: 'positions',
+    attributes: {
+      protocol: 'Aave V3',
+      name: 'Lending',
+      position_type: 'deposit',
+      pool_address: checksummed(pool),
+      group_id: groupId,
+      value: amount,
+      price: 1,
+      quantity: { float: amount },
+      fungible_info: { symbol: 'USDC', implementations: [{ chain_id: 'ethereum', address: USDC }] }
+    }
+  });
+  // DeBank pool ids carry a suffix after the contract; older data has no controller
+  const data = {
+    debank: debank.normalize([{ id: 'aave3', name: 'Aave V3', portfolio_item_list: [
+      lending({ id: `${CORE}:1`, controller: CORE }, 1000),
+      lending({ id: `${PRIME}:1` }, 800)
+    ] }], 'ethereum'),
+    zerion: zerion.normalize({ data: [
+      deposit('aave-v3-ethereum-prime', PRIME, 500),
+      deposit('aave-v3-ethereum-core', CORE, 1000)
+    ] }, 'ethereum')
+  };
+  assert.deepEqual(data.debank.protocols['Aave V3'].positions.map(p => [p.id, p.pool]), [
+    [`Lending:${CORE}:1`, CORE],
+    [`Lending:${PRIME}:1`, `${PRIME}:1`]
+  ]);
+
+  const [aave] = reconcile.reconcileChain(data, 'ethereum', PAIR);
+  assert.deepEqual(aave.positions.map(p => [p.key, p.pool, p.leftTotal, p.rightTotal]), [
+    [`Lending:${CORE}:1|aave-v3-ethereum-core`, CORE, 1000, 1000],
+    [`Lending:${PRIME}:1|aave-v3-ethereum-prime`, PRIME, 800, 500]
+  ]);
+});
+
+test('known warnings are marked and left out of precomputed diffs', () => {
+  const data = chainEntry({ zerion: [['Polymarket', [{ symbol: 'USDC', amount: 50, price: 1, value: 50, type: 'deposit' }]]] });
+  const isKnownWarning = (name, chain) => name === 'Polymarket' && chain === 'polygon';
+  const [polymarket] = reconcile.reconcileChain(data, 'polygon', { ...PAIR, isKnownWarning });
+  assert.equal(polymarket.isWarning, true);
+  assert.equal(reconcile.reconcileChain(data, 'polygon', PAIR)[0].isWarning, false);
+
+  const withPolymarket = { ...comparison, '0xpoly': { polygon: data } };
+  const { protocols: diffs, issues } = reconcile.diffComparison(withPolymarket, { ...PAIR, mode: 'token', isKnownWarning });
+  assert.deepEqual(diffs.map(p => p.protocol), ['Seamless Protocol']);
+  assert.ok(!issues.some(i => i.protocol === 'Polymarket'));
+});
+
+test('QA report issues per token in each mode', () => {
+  const token = reconcile.findIssues(comparison, { ...PAIR, mode: 'token' });
+  const fiat = reconcile.findIssues(comparison, { ...PAIR, mode: 'fiat' });
+
+  assert.equal(token.length, 6);
+  assert.ok(token.some(i => i.address === AAVE_WHALE && i.protocol === 'Yearn V2' && i.symbol === 'yCRV'));
+  assert.ok(!token.some(i => i.address === LIDO_HOLDER));
+  assert.ok(token.every(i => i.diff === i.leftVal - i.rightVal));
+  // Fiat mode only keeps gaps over $1 and 1%
+  assert.deepEqual(fiat, []);
+});
+
+test('standardizeType buckets provider position types', () => {
+  assert.equal(reconcile.standardizeType('deposit'), 'supply');
+  assert.equal(reconcile.standardizeType('staked'), 'supply');
+  assert.equal(reconcile.standardizeType('loan'), 'borrow');
+  assert.equal(reconcile.standardizeType('reward'), 'other');
+  assert.equal(reconcile.standardizeType(undefined), 'other');
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRegistry, applyAliases, DEFAULT_REGISTRY_FILE } = require('../lib/registry');
+const registryLib = require('../dashboard/lib/registry');
+
+const registry = loadRegistry();
+
+function writeTemp(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-registry-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+// Normalized provider output with one asset per protocol
+function normalized(names) {
+  const protocols = {};
+  names.forEach((name, idx) => {
+    protocols[name] = {
+      name,
+      id: name,
+      value: idx + 1,
+      positions: [{ id: 'default', name: null, pool: null, healthRate: null, value: idx + 1 }],
+      assets: [{ symbol: 'ETH', amount: idx + 1, price: 1, value: idx + 1, type: 'deposit', position: 'default' }]
+    };
+  });
+  return { protocols, totalValue: names.length };
+}
+
+test('the repository registry is valid', () => {
+  assert.equal(registry.version, registryLib.VERSION);
+  assert.ok(registry.protocols.length > 0);
+  assert.ok(registry.knownIssues.every(rule => rule.reason && rule.owner && rule.expires));
+});
+
+test('aliases map provider ids to canonical names per chain', () => {
+  const result = applyAliases(normalized(['Morpho Blue', 'Aave V3']), registry, 'zerion', 'ethereum');
+  assert.deepEqual(Object.keys(result.protocols), ['Morpho', 'Aave V3']);
+  assert.equal(result.protocols.Morpho.name, 'Morpho');
+
+  // Aliases are per chain and per provider
+  assert.deepEqual(Object.keys(applyAliases(normalized(['Morpho Blue']), registry, 'zerion', 'base').protocols), ['Morpho Blue']);
+  assert.deepEqual(Object.keys(applyAliases(normalized(['Morpho Blue']), registry, 'debank', 'ethereum').protocols), ['Morpho Blue']);
+});
+
+test('swapped aliases resolve in one pass', () => {
+  const result = applyAliases(normalized(['Velodrome', 'Velodrome V2']), registry, 'zerion', 'optimism');
+  assert.equal(result.protocols['Velodrome V2'].value, 1);
+  assert.equal(result.protocols.Velodrome.value, 2);
+});
+
+test('protocols aliased to the same name are merged', () => {
+  const custom = { ...registryLib.EMPTY_REGISTRY, protocols: [{ chain: 'ethereum', name: 'Maker', ids: { zerion: 'MakerDAO' } }] };
+  const result = applyAliases(normalized(['MakerDAO', 'Maker']), custom, 'zerion', 'ethereum');
+  assert.deepEqual(Object.keys(result.protocols), ['Maker']);
+  assert.equal(result.protocols.Maker.value, 3);
+  assert.equal(result.protocols.Maker.assets.length, 2);
+  // Positions with the same id are combined
+  assert.deepEqual(result.protocols.Maker.positions.map(p => [p.id, p.value]), [['default', 3]]);
+});
+
+test('known issues apply until they expire', () => {
+  const custom = {
+    ...registryLib.EMPTY_REGISTRY,
+    knownIssues: [{ protocol: 'Polymarket', chains: ['polygon'], reason: 'Different source chain', owner: 'qa', expires: '2026-03-31' }]
+  };
+  const before = new Date('2026-03-31T23:00:00Z');
+  const after = new Date('2026-04-01T00:00:00Z');
+
+  assert.ok(registryLib.findKnownIssue(custom, 'polymarket', 'polygon', before));
+  assert.equal(registryLib.findKnownIssue(custom, 'Polymarket', 'ethereum', before), null);
+  assert.equal(registryLib.findKnownIssue(custom, 'Polymarket', 'polygon', after), null);
+  assert.deepEqual(registryLib.expiredIssues(custom, after).map(rule => rule.protocol), ['Polymarket']);
+});
+
+test('invalid registries are rejected with every problem listed', () => {
+  const file = writeTemp('registry.yaml', [
+    'version: 2',
+    'protocols:',
+    '  - chain: moonbeam',
+    '    name: Stella',
+    '    ids: { zerion: StellaSwap }',
+    '  - chain: ethereum',
+    '    name: Maker',
+    '    ids: { zerion: MakerDAO }',
+    '  - chain: ethereum',
+    '    name: Sky',
+    '    ids: { zerion: MakerDAO }',
+    'knownIssues:',
+    '  - protocol: Polymarket',
+    '    reason: Different source chain',
+    '    expires: next year'
+  ].join('\n'));
+
+  assert.throws(() => loadRegistry(file), err => {
+    ['Unsupported registry version 2', 'unknown chain "moonbeam"', 'already mapped to Maker', 'missing owner', 'expires must be a YYYY-MM-DD date']
+      .forEach(problem => assert.match(err.message, new RegExp(problem)));
+    return true;
+  });
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+test('JSON registries load too', () => {
+  const file = writeTemp('registry.json', JSON.stringify(loadRegistry(DEFAULT_REGISTRY_FILE)));
+  assert.deepEqual(loadRegistry(file), registry);
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { generateComparison } = require('../lib/generate');
+const { runFetch } = require('../lib/fetch');
+const { attachRecorder, loadRecordings, startMockServer } = require('../lib/replay');
+const debank = require('../lib/providers/debank');
+const zerion = require('../lib/providers/zerion');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const API_FIXTURES_DIR = path.join(FIXTURES_DIR, 'api');
+const AAVE_WHALE = '0x0b32aa5c1e71715206fe29b7badb21ad95f272c0';
+const LIDO_HOLDER = '0x4e5ed30e3b4eb39abce3c150f31e180a3ae5806e';
+const ZERION_POSITIONS = `/v1/wallets/${AAVE_WHALE}/positions`;
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'defi-compare-'));
+
+function comparison(dataDir) {
+  const outDir = tmpDir();
+  const { outputFile } = generateComparison({ addresses: [AAVE_WHALE, LIDO_HOLDER], dataDir, outDir, snapshot: false });
+  const data = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+  fs.rmSync(outDir, { recursive: true, force: true });
+  return data;
+}
+
+// Fetch progress is not printed: on stdout, interleaved with the test runner's
+// own messages, it can break their deserialization
+const quiet = { log: () => {}, warn: () => {} };
+
+// Run the adapters against a mock server, restoring their base URLs afterwards
+async function withMock(options, run) {
+  const server = await startMockServer({ fixturesDir: API_FIXTURES_DIR, port: 0, ...options });
+  const origin = `http://localhost:${server.address().port}`;
+  const baseURLs = [debank.apiClient.defaults.baseURL, zerion.apiClient.defaults.baseURL];
+  debank.apiClient.defaults.baseURL = origin;
+  zerion.apiClient.defaults.baseURL = `${origin}/v1`;
+  try {
+    return await run(origin);
+  } finally {
+    [debank.apiClient.defaults.baseURL, zerion.apiClient.defaults.baseURL] = baseURLs;
+    server.close();
+  }
+}
+
+test('fetching from the mock server reproduces the recorded comparison', async () => {
+  const outDir = tmpDir();
+  // A rate limit on the first protocol request is retried by the scheduler
+  const scenarios = [{ path: '/complex_protocol_list', status: 429, retryAfter: 0, times: 1 }];
+  await withMock({ scenarios }, async () => {
+    for (const provider of [debank, zerion]) {
+      const summary = await runFetch(provider, { addresses: [AAVE_WHALE, LIDO_HOLDER], chains: ['ethereum'], outDir, logger: quiet });
+      assert.deepEqual(summary, { skipped: 0, success: 2, empty: 0, truncated: 0, unavailable: 0, failed: 0 });
+    }
+  });
+
+  assert.deepEqual(comparison(outDir), comparison(FIXTURES_DIR));
+  fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+test('Zerion pages are followed and cut-off fetches are saved as truncated', async () => {
+  const outDir = tmpDir();
+  const paged = [{ path: '/positions', pageSize: 3 }];
+  await withMock({ scenarios: paged }, async () => {
+    const summary = await runFetch(zerion, { addresses: [AAVE_WHALE], chains: ['ethereum'], outDir, logger: quiet });
+    assert.equal(summary.success, 1);
+  });
+  const complete = JSON.parse(fs.readFileSync(path.join(outDir, 'data_zerion', AAVE_WHALE, 'ethereum.json'), 'utf8'));
+  assert.deepEqual([complete.data.length, complete.meta.coverage, complete.meta.pages], [7, 'complete', 3]);
+
+  // The second page fails: the first one is kept, marked as truncated
+  await withMock({ scenarios: [{ path: '/positions', status: 500, after: 1 }, ...paged] }, async () => {
+    const summary = await runFetch(zerion, { addresses: [AAVE_WHALE], chains: ['ethereum'], outDir, logger: quiet });
+    assert.equal(summary.truncated, 1);
+  });
+  const truncated = JSON.parse(fs.readFileSync(path.join(outDir, 'data_zerion', AAVE_WHALE, 'ethereum.json'), 'utf8'));
+  assert.deepEqual([truncated.data.length, truncated.meta.coverage], [3, 'truncated']);
+  assert.match(truncated.meta.truncated_reason, /^page 2 failed/);
+
+  const { zerion: entry } = comparison(outDir)[AAVE_WHALE].ethereum;
+  assert.equal(entry.fetchStatus.status, 'truncated');
+  fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+test('a wallet still indexing at the deadline is unavailable and refetched on resume', async () => {
+  const outDir = tmpDir();
+  await withMock({ scenarios: [{ path: '/positions', status: 202 }] }, async () => {
+    await runFetch(debank, { addresses: [AAVE_WHALE], chains: ['ethereum'], outDir, logger: quiet });
+    const summary = await runFetch(zerion, { addresses: [AAVE_WHALE], chains: ['ethereum'], outDir, pollDeadlineMs: 0, logger: quiet });
+    assert.equal(summary.unavailable, 1);
+  });
+  assert.equal(fs.existsSync(path.join(outDir, 'data_zerion', AAVE_WHALE)), false);
+
+  const { debank: left, zerion: right } = comparison(outDir)[AAVE_WHALE].ethereum;
+  assert.equal(left.fetchStatus, undefined);
+  assert.equal(right.fetchStatus.status, 'unavailable');
+  assert.match(right.fetchStatus.error, /still indexing/);
+  assert.equal(right.totalValue, 0);
+
+  await withMock({}, async () => {
+    const summary = await runFetch(zerion, { addresses: [AAVE_WHALE], chains: ['ethereum'], outDir, resume: true, logger: quiet });
+    assert.deepEqual([summary.success, summary.skipped], [1, 0]);
+  });
+  assert.equal(comparison(outDir)[AAVE_WHALE].ethereum.zerion.fetchStatus, undefined);
+  fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+test('scenarios simulate processing, rate limits and pagination', async () => {
+  const scenarios = [
+    { path: '/positions', status: 202, times: 1 },
+    { path: '/used_chain_list', status: 429, retryAfter: 5 },
+    { path: '/positions', pageSize: 2 }
+  ];
+  await withMock({ scenarios }, async origin => {
+    const client = axios.create({ baseURL: origin, validateStatus: () => true });
+    const params = { 'currency': 'usd', 'filter[positions]': 'no_filter', 'filter[trash]': 'no_filter' };
+
+    assert.equal((await client.get(ZERION_POSITIONS, { params })).status, 202);
+
+    const limited = await client.get('/v1/user/used_chain_list', { params: { id: AAVE_WHALE } });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers['retry-after'], '5');
+
+    const recorded = loadRecordings(API_FIXTURES_DIR).get(`GET ${ZERION_POSITIONS}?currency=usd&filter[positions]=no_filter&filter[trash]=no_filter`);
+    const pages = [];
+    let next = `${ZERION_POSITIONS}?${new URLSearchParams(params)}`;
+    while (next) {
+      const { status, data } = await client.get(next);
+      assert.equal(status, 200);
+      pages.push(data.data);
+      next = data.links.next;
+      if (next) assert.ok(next.startsWith(origin));
+    }
+    assert.equal(pages.length, Math.ceil(recorded.data.data.length / 2));
+    assert.deepEqual(pages.flat(), recorded.data.data);
+
+    assert.equal((await client.get('/v1/user/used_chain_list', { params: { id: '0xunknown' } })).status, 429);
+    assert.equal((await client.get('/v1/user/token_list')).status, 404);
+  });
+});
+
+test('the recorder saves responses the mock server replays', async () => {
+  const recordDir = tmpDir();
+  await withMock({}, async origin => {
+    const client = axios.create({ baseURL: origin });
+    attachRecorder(client, 'debank', recordDir);
+    await client.get('/v1/user/used_chain_list', { params: { id: AAVE_WHALE } });
+  });
+
+  const [file] = fs.readdirSync(path.join(recordDir, 'debank'));
+  assert.equal(file, `get_v1_user_used_chain_list_id=${AAVE_WHALE}.json`);
+  const recording = loadRecordings(recordDir).get(`GET /v1/user/used_chain_list?id=${AAVE_WHALE}`);
+  assert.deepEqual(recording.request, { method: 'GET', path: '/v1/user/used_chain_list', query: { id: AAVE_WHALE } });
+  assert.deepEqual(recording.data, [{ id: 'eth', name: 'Ethereum' }]);
+  fs.rmSync(recordDir, { recursive: true, force: true });
+});
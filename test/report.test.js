@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateComparison } = require('../lib/generate');
+const { analyzeReport } = require('../dashboard/lib/report');
+const {
+  formatIssuesCsv,
+  formatReportJson,
+  formatReportMarkdown,
+  parseFailOn,
+  checkThresholds
+} = require('../lib/report');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const AAVE_WHALE = '0x0b32aa5c1e71715206fe29b7badb21ad95f272c0';
+const LIDO_HOLDER = '0x4e5ed30e3b4eb39abce3c150f31e180a3ae5806e';
+const PAIR = { left: 'debank', right: 'zerion' };
+const ADDRESS_BOOK = [{ address: AAVE_WHALE, label: 'Aave whale' }];
+
+function loadComparison() {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-compare-'));
+  const { outputFile } = generateComparison({ addresses: [AAVE_WHALE, LIDO_HOLDER], dataDir: FIXTURES_DIR, outDir, snapshot: false });
+  const data = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+  fs.rmSync(outDir, { recursive: true, force: true });
+  return data;
+}
+
+test('the QA analysis derives pass rate, priorities and action items from the issues', () => {
+  const data = loadComparison();
+  assert.deepEqual(analyzeReport(data, PAIR).issues, []);
+
+  // Token mode flags every quantity mismatch of the whale's Aave and Yearn positions
+  const analysis = analyzeReport(data, { ...PAIR, mode: 'token' });
+  assert.equal(analysis.passRate, 50);
+  assert.deepEqual(analysis.highPriorityIssues.map(i => i.symbol), ['stETH', 'USDT', 'yCRV', 'WETH']);
+  assert.deepEqual(analysis.actionItems.map(item => [item.title, item.count, item.critical]), [['检查 Aave V3 协议', 3, true]]);
+  assert.deepEqual(Object.keys(analysis.missingTokenStats), ['stETH', 'USDT', 'yCRV', 'WETH']);
+
+  // Protocols under an active known issue are left out
+  const registry = { protocols: [], knownIssues: [{ protocol: 'Aave V3', reason: 'Pending fix', owner: 'qa', expires: '2999-01-01' }] };
+  assert.deepEqual(analyzeReport(data, { ...PAIR, mode: 'token', registry }).issues.map(i => i.symbol), ['yCRV']);
+});
+
+test('the analysis exports as CSV, JSON and Markdown', () => {
+  const analysis = analyzeReport(loadComparison(), { ...PAIR, mode: 'token' });
+
+  const csv = formatIssuesCsv(analysis, ADDRESS_BOOK).trim().split('\n');
+  assert.equal(csv[0], 'address,label,chain,protocol,position,pool,symbol,type,debank_value,zerion_value,diff');
+  assert.equal(csv.length, 5);
+  assert.match(csv[1], new RegExp(`^${AAVE_WHALE},Aave whale,ethereum,Aave V3,,,WETH,supply,`));
+
+  // Provider-supplied text is quoted on line breaks and kept from running as a formula
+  const hostile = formatIssuesCsv({ ...PAIR, issues: [{
+    address: AAVE_WHALE, chain: 'ethereum', protocol: '=HYPERLINK("https://example.com")', position: 'Lending\rVault',
+    pool: '@SUM(A1)', symbol: '+USDC', type: '-supply', leftVal: 10, rightVal: 22.5, diff: -12.5
+  }] }, [{ address: AAVE_WHALE, label: 'Aave, "whale"' }]).trim().split('\n');
+  assert.equal(hostile[1], `${AAVE_WHALE},"Aave, ""whale""",ethereum,"'=HYPERLINK(""https://example.com"")","Lending\rVault",` +
+    `'@SUM(A1),'+USDC,'-supply,10,22.5,-12.5`);
+
+  const json = JSON.parse(formatReportJson(analysis, ADDRESS_BOOK));
+  assert.deepEqual(json.summary, {
+    wallets: 2,
+    passRate: 50,
+    issues: 4,
+    highPriorityIssues: 4,
+    totalValueGap: analysis.totalValueGap,
+    priceAffectedValue: 0
+  });
+  assert.equal(json.issues[0].label, 'Aave whale');
+
+  const md = formatReportMarkdown(analysis, { addressBook: ADDRESS_BOOK, limit: 2 });
+  assert.match(md, /^## QA Report: DeBank vs Zerion \(token mode\)/);
+  assert.match(md, /\| 2 \| 50% \| 4 \| 4 \| \$10,398\.13 \| \$0\.00 \|/);
+  assert.match(md, /- \*\*检查 Aave V3 协议\*\* \(协议集成\)/);
+  assert.match(md, new RegExp(`\\| Aave whale \\(\`${AAVE_WHALE}\`\\) \\| Ethereum \\| Aave V3 \\| stETH \\|`));
+  assert.match(md, /…and 2 more\.\n$/);
+});
+
+test('--fail-on rules are parsed and checked against the analysis', () => {
+  const analysis = analyzeReport(loadComparison(), { ...PAIR, mode: 'token' });
+  const check = (...rules) => checkThresholds(analysis, rules.map(parseFailOn));
+
+  assert.deepEqual(parseFailOn('gap=10000.5'), { metric: 'gap', limit: 10000.5 });
+  assert.throws(() => parseFailOn('gap>100'), /Invalid --fail-on "gap>100"/);
+  assert.throws(() => parseFailOn('speed=1'), /Invalid --fail-on/);
+
+  assert.deepEqual(check('pass-rate=50', 'gap=20000', 'issues=4', 'high=4'), []);
+  assert.deepEqual(check('pass-rate=90', 'gap=10000', 'high=3'), [
+    'pass-rate is 50, below 90',
+    'gap is 10398.13, above 10000',
+    'high is 4, above 3'
+  ]);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const risk = require('../dashboard/lib/risk');
+const registryLib = require('../dashboard/lib/registry');
+const debank = require('../lib/providers/debank');
+const zerion = require('../lib/providers/zerion');
+
+const SPAM = '0x1111111111111111111111111111111111111111';
+
+const asset = fields => ({ symbol: 'TKN', chain: 'ethereum', address: SPAM, amount: 10, price: 1, value: 10, type: 'wallet', ...fields });
+
+test('provider flags and heuristics combine into a level with reasons', () => {
+  assert.deepEqual(risk.assessAsset(asset({})), { level: 'none', reasons: [] });
+  assert.equal(risk.assessAsset(asset({ flags: { verified: false } })).level, 'low');
+  assert.equal(risk.assessAsset(asset({ flags: { is_verified: false, is_core: false } })).level, 'medium');
+  assert.equal(risk.assessAsset(asset({ price: 0, amount: 5e6 })).level, 'medium');
+  assert.equal(risk.assessAsset(asset({ symbol: 'Visit claim-usdc.com' })).level, 'high');
+
+  const trash = risk.assessAsset(asset({ price: 0, amount: 5e6, flags: { is_trash: true, verified: false } }));
+  assert.equal(trash.level, 'high');
+  assert.deepEqual(trash.reasons, ['Zerion: marked as trash', 'Zerion: unverified token', 'Zero price with a huge amount']);
+  assert.equal(risk.isFlagged(trash), true);
+  assert.equal(risk.isFlagged({ level: 'low', reasons: [] }), false);
+});
+
+test('allow and deny lists in the registry override provider flags', () => {
+  const registry = {
+    ...registryLib.EMPTY_REGISTRY,
+    tokens: {
+      allow: [{ chain: 'ethereum', address: SPAM, reason: 'Team token' }],
+      deny: [{ chain: 'base', address: SPAM, reason: 'Fake airdrop' }]
+    }
+  };
+  assert.equal(risk.assessAsset(asset({ flags: { is_trash: true } }), registry).level, 'none');
+  assert.deepEqual(risk.assessAsset(asset({ chain: 'base' }), registry), { level: 'high', reasons: ['Deny list: Fake airdrop'] });
+
+  const invalid = { ...registryLib.EMPTY_REGISTRY, tokens: { allow: [], deny: [{ chain: 'base', address: 'spam' }] } };
+  assert.deepEqual(registryLib.validateRegistry(invalid), [
+    'tokens.deny[0]: address must be a 0x contract address',
+    'tokens.deny[0]: missing reason'
+  ]);
+});
+
+test('flagged assets can be left out of a chain entry', () => {
+  const entry = {
+    zerion: {
+      protocols: {
+        Wallet: {
+          name: 'Wallet',
+          id: 'Wallet',
+          value: 110,
+          positions: [{ id: 'wallet', name: 'Wallet', pool: null, healthRate: null, value: 110 }],
+          assets: [
+            asset({ symbol: 'USDC', address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', value: 100, position: 'wallet' }),
+            asset({ flags: { is_trash: true }, position: 'wallet' })
+          ]
+        },
+        Spam: { name: 'Spam', id: 'Spam', value: 5, assets: [asset({ value: 5, flags: { is_trash: true } })] }
+      },
+      totalValue: 115
+    }
+  };
+  const { zerion: filtered } = risk.withoutFlagged(entry);
+
+  assert.deepEqual(Object.keys(filtered.protocols), ['Wallet']);
+  assert.equal(filtered.totalValue, 100);
+  assert.equal(filtered.protocols.Wallet.value, 100);
+  assert.equal(filtered.protocols.Wallet.positions[0].value, 100);
+  assert.deepEqual(filtered.protocols.Wallet.assets.map(a => a.symbol), ['USDC']);
+  // The input is left untouched
+  assert.equal(entry.zerion.protocols.Wallet.assets.length, 2);
+});
+
+test('normalizers keep the providers\' risk signals', () => {
+  const debankRaw = {
+    protocols: [],
+    tokens: [{ id: SPAM, chain: 'eth', symbol: 'AIRDROP', amount: 1e7, price: 0, is_verified: false, is_core: false }]
+  };
+  const [fromDebank] = debank.normalize(debankRaw, 'ethereum').protocols.Wallet.assets;
+  assert.deepEqual(fromDebank.flags, { is_verified: false, is_core: false });
+
+  const zerionRaw = {
+    data: [{
+      attributes: {
+        protocol: null,
+        position_type: 'wallet',
+        value: 0,
+        price: 0,
+        quantity: { float: 1e7 },
+        flags: { displayable: false, is_trash: true },
+        fungible_info: { symbol: 'AIRDROP', flags: { verified: false }, implementations: [{ chain_id: 'ethereum', address: SPAM }] }
+      }
+    }]
+  };
+  const [fromZerion] = zerion.normalize(zerionRaw, 'ethereum').protocols.Wallet.assets;
+  assert.deepEqual(fromZerion.flags, { verified: false, displayable: false, is_trash: true });
+  assert.equal(risk.assessAsset(fromZerion).level, 'high');
+});
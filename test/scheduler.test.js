@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket, RequestScheduler, parseRetryAfter } = require('../lib/scheduler');
+
+const quiet = { log: () => {} };
+
+// A 429 as thrown by axios, with an optional Retry-After header
+const rateLimited = retryAfter => Object.assign(new Error('Too Many Requests'), {
+  response: { status: 429, headers: retryAfter === undefined ? {} : { 'retry-after': retryAfter } }
+});
+
+// Fake clock: setTimeout and Date from 0, advanced step by step so promise
+// continuations run between timers
+function useFakeClock(t) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const flush = async () => {
+    for (let i = 0; i < 20; i++) await Promise.resolve();
+  };
+  return {
+    flush,
+    async advance(ms, step = 10) {
+      await flush();
+      for (let elapsed = 0; elapsed < ms; elapsed += step) {
+        t.mock.timers.tick(Math.min(step, ms - elapsed));
+        await flush();
+      }
+    }
+  };
+}
+
+test('Retry-After is read as seconds or as an HTTP date', t => {
+  useFakeClock(t);
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(1.5), 1500);
+  assert.equal(parseRetryAfter(new Date(30000).toUTCString()), 30000);
+  // A date in the past means no wait; anything else is no header
+  assert.equal(parseRetryAfter(new Date(-5000).toUTCString()), 0);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(''), null);
+  assert.equal(parseRetryAfter(undefined), null);
+});
+
+test('the token bucket spends its burst, then paces requests at the rate', async t => {
+  const clock = useFakeClock(t);
+  const bucket = new TokenBucket(2);
+  const taken = [];
+  for (let i = 0; i < 5; i++) bucket.take().then(() => taken.push(Date.now()));
+
+  await clock.advance(2000);
+  assert.deepEqual(taken, [0, 0, 500, 1000, 1500]);
+
+  // No rate means no limit
+  const unlimited = new TokenBucket(0);
+  assert.equal(unlimited.unlimited, true);
+  await unlimited.take();
+});
+
+test('requests in flight never exceed the concurrency cap', async t => {
+  const clock = useFakeClock(t);
+  const scheduler = new RequestScheduler({ name: 'Test', concurrency: 2, requestsPerSecond: 0, logger: quiet });
+  let active = 0;
+  let peak = 0;
+  const request = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    active--;
+    return Date.now();
+  };
+
+  const finished = Promise.all(Array.from({ length: 5 }, () => scheduler.schedule(request)));
+  await clock.advance(300);
+  assert.deepEqual(await finished, [100, 100, 200, 200, 300]);
+  assert.equal(peak, 2);
+  assert.equal(scheduler.active, 0);
+});
+
+test('backoff doubles up to its ceiling unless Retry-After says otherwise', t => {
+  t.mock.method(Math, 'random', () => 0.5); // No jitter
+  const scheduler = new RequestScheduler({ name: 'Test', concurrency: 1, baseDelayMs: 1000, maxDelayMs: 5000 });
+  assert.deepEqual([0, 1, 2, 3, 8].map(attempt => scheduler.backoffDelay(attempt, rateLimited())), [1000, 2000, 4000, 5000, 5000]);
+  assert.equal(scheduler.backoffDelay(0, rateLimited('7')), 7000);
+
+  // The jitter stays within 20% either way
+  Math.random.mock.mockImplementation(() => 0);
+  assert.equal(scheduler.backoffDelay(1, rateLimited()), 1600);
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.ok(Math.abs(scheduler.backoffDelay(1, rateLimited()) - 2400) < 0.01);
+});
+
+test('a 429 pauses the whole provider, and gives up after the last retry', async t => {
+  const clock = useFakeClock(t);
+  const scheduler = new RequestScheduler({ name: 'Test', concurrency: 2, requestsPerSecond: 0, maxRetries: 2, logger: quiet });
+  const calls = [];
+  let limited = true;
+  const request = name => async () => {
+    calls.push([name, Date.now()]);
+    if (name === 'a' && limited) {
+      limited = false;
+      throw rateLimited('3');
+    }
+    return name;
+  };
+
+  const a = scheduler.schedule(request('a'));
+  await clock.flush();
+  // A request started during the pause waits for it too
+  const b = scheduler.schedule(request('b'));
+  await clock.advance(2990);
+  assert.deepEqual(calls, [['a', 0]]);
+  await clock.advance(20);
+  assert.deepEqual([await a, await b], ['a', 'b']);
+  assert.deepEqual(calls, [['a', 0], ['b', 3000], ['a', 3000]]);
+
+  // Other errors are not retried; a 429 is retried maxRetries times
+  let attempts = 0;
+  await assert.rejects(scheduler.schedule(async () => {
+    attempts++;
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(attempts, 1);
+  const failing = assert.rejects(scheduler.schedule(async () => {
+    attempts++;
+    throw rateLimited('0');
+  }), /Too Many Requests/);
+  await clock.advance(30);
+  await failing;
+  assert.equal(attempts, 4);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateComparison } = require('../lib/generate');
+const { startServer } = require('../lib/server');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const AAVE_WHALE = '0x0b32aa5c1e71715206fe29b7badb21ad95f272c0';
+const LIDO_HOLDER = '0x4e5ed30e3b4eb39abce3c150f31e180a3ae5806e';
+
+// Serve generated fixture data (with one snapshot) from a temporary dashboard directory
+async function withServer(refetch, fn) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-serve-'));
+  const { snapshot } = generateComparison({ addresses: [AAVE_WHALE, LIDO_HOLDER], dataDir: FIXTURES_DIR, outDir: rootDir });
+  const server = await startServer({ port: 0, rootDir, refetch });
+  const origin = `http://localhost:${server.address().port}`;
+  try {
+    await fn(origin, snapshot);
+  } finally {
+    server.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+const getJson = async url => {
+  const res = await fetch(url);
+  return { status: res.status, body: await res.json() };
+};
+
+// A refetch as the dashboard sends it
+const REFETCH = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' };
+
+// Server-Sent Events of a stream the server closes: [{ event, data }]
+async function readEvents(url) {
+  const text = await (await fetch(url)).text();
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const [event, data] = block.split('\n').map(line => line.slice(line.indexOf(': ') + 2));
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+test('the API serves the wallet list, single wallets, portfolio stats and snapshots', async () => {
+  await withServer(undefined, async (origin, snapshot) => {
+    const { body: list } = await getJson(`${origin}/api/addresses`);
+    assert.deepEqual(list.providers, ['debank', 'zerion']);
+    assert.deepEqual(list.addresses.map(w => w.address).sort(), [AAVE_WHALE, LIDO_HOLDER]);
+    assert.ok(list.addresses.find(w => w.address === AAVE_WHALE).chains.includes('ethereum'));
+
+    // Addresses match case-insensitively
+    const wallet = await getJson(`${origin}/api/wallets/${AAVE_WHALE.toUpperCase().replace('0X', '0x')}`);
+    assert.ok(wallet.body.ethereum.debank.protocols['Aave V3']);
+    const chain = await getJson(`${origin}/api/wallets/${AAVE_WHALE}/ethereum`);
+    assert.deepEqual(chain.body, wallet.body.ethereum);
+    assert.equal((await getJson(`${origin}/api/wallets/${AAVE_WHALE}/fantom`)).status, 404);
+    assert.equal((await getJson(`${origin}/api/wallets/0xabc`)).status, 404);
+
+    const { body: stats } = await getJson(`${origin}/api/stats?left=debank&right=zerion&addresses=${AAVE_WHALE}&chains=ethereum`);
+    assert.equal(stats.wallets, 1);
+    assert.deepEqual(stats.byChain.map(row => row.chain), ['ethereum']);
+    assert.deepEqual(await getJson(`${origin}/api/stats?profile=nope`), { status: 400, body: { error: 'Unknown profile "nope"' } });
+
+    const { body: index } = await getJson(`${origin}/api/snapshots`);
+    assert.deepEqual(index.snapshots.map(s => s.id), [snapshot.id]);
+    assert.equal((await getJson(`${origin}/api/addresses?snapshot=${snapshot.id}`)).body.addresses.length, 2);
+    assert.equal((await getJson(`${origin}/api/addresses?snapshot=1999`)).status, 404);
+
+    // The dashboard files are still served
+    assert.equal((await fetch(`${origin}/comparison_data.json`)).status, 200);
+
+    // A path that does not decode is a bad request, not a crash
+    assert.equal((await fetch(`${origin}/%E0%A4%A`)).status, 400);
+    assert.deepEqual(await getJson(`${origin}/api/wallets/%E0%A4%A`), { status: 400, body: { error: 'Malformed path /api/wallets/%E0%A4%A' } });
+  });
+});
+
+test('a refetch runs in the background and streams its progress', async () => {
+  const runs = [];
+  const refetch = async (address, { onProgress }) => {
+    runs.push(address);
+    onProgress('fetching');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    onProgress('generating');
+    if (address === LIDO_HOLDER) throw new Error('generate exited with code 1');
+  };
+
+  await withServer(refetch, async origin => {
+    const res = await fetch(`${origin}/api/wallets/${AAVE_WHALE}/refetch`, REFETCH);
+    assert.equal(res.status, 202);
+    const job = await res.json();
+    assert.equal(job.status, 'running');
+
+    const events = await readEvents(`${origin}/api/jobs/${job.id}/events`);
+    assert.deepEqual(events.map(e => e.event), ['progress', 'progress', 'done']);
+    assert.deepEqual(events.slice(0, 2).map(e => e.data), ['fetching', 'generating']);
+    assert.equal(events[2].data.status, 'done');
+
+    // A finished job replays its output
+    assert.equal((await readEvents(`${origin}/api/jobs/${job.id}/events`)).length, 3);
+    assert.deepEqual(runs, [AAVE_WHALE]);
+
+    const failed = await (await fetch(`${origin}/api/wallets/${LIDO_HOLDER}/refetch`, REFETCH)).json();
+    const [, , done] = await readEvents(`${origin}/api/jobs/${failed.id}/events`);
+    assert.deepEqual([done.data.status, done.data.error], ['failed', 'generate exited with code 1']);
+
+    assert.equal((await fetch(`${origin}/api/wallets/0xabc/refetch`, REFETCH)).status, 404);
+    assert.equal((await fetch(`${origin}/api/jobs/99`)).status, 404);
+  });
+});
+
+test('a refetch is only started by a JSON request from the dashboard itself', async () => {
+  const runs = [];
+  await withServer(async address => { runs.push(address); }, async origin => {
+    const post = async (headers, body) => {
+      const res = await fetch(`${origin}/api/wallets/${AAVE_WHALE}/refetch`, { method: 'POST', headers, body });
+      return [res.status, (await res.json()).error];
+    };
+    // A form or a no-cors fetch from another site cannot set a JSON content type without a preflight
+    assert.deepEqual(await post({}), [415, 'Content-Type must be application/json']);
+    assert.deepEqual(await post({ 'Content-Type': 'text/plain' }, '{}'), [415, 'Content-Type must be application/json']);
+    assert.deepEqual(await post({ ...REFETCH.headers, Origin: 'https://evil.example' }, '{}'), [403, 'Requests from https://evil.example are not allowed']);
+    assert.deepEqual(await post({ ...REFETCH.headers, Origin: 'null' }, '{}'), [403, 'Requests from null are not allowed']);
+    assert.deepEqual(runs, []);
+
+    assert.equal((await post({ ...REFETCH.headers, Origin: origin }, '{}'))[0], 202);
+  });
+});
+
+test('finished refetch jobs are dropped beyond the most recent 20', async () => {
+  await withServer(async () => {}, async origin => {
+    const ids = [];
+    for (let i = 0; i < 22; i++) {
+      const job = await (await fetch(`${origin}/api/wallets/${AAVE_WHALE}/refetch`, REFETCH)).json();
+      // Wait for it to finish, so the next refetch starts a new job
+      await readEvents(`${origin}/api/jobs/${job.id}/events`);
+      ids.push(job.id);
+    }
+    const statuses = await Promise.all(ids.map(async id => (await fetch(`${origin}/api/jobs/${id}`)).status));
+    assert.deepEqual(statuses, [404, ...Array(21).fill(200)]);
+  });
+});
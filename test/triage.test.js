@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const triage = require('../dashboard/lib/triage');
+const { startServer } = require('../lib/server');
+
+const ISSUE = {
+  id: '0xAbC|ethereum|Aave V3|USDC',
+  address: '0xAbC',
+  chain: 'ethereum',
+  protocol: 'Aave V3',
+  symbol: 'USDC',
+  type: 'supply'
+};
+const KEY = '0xabc|ethereum|aave v3|USDC|supply';
+const NOW = new Date('2026-10-01T00:00:00Z');
+
+// In-memory localStorage
+const memoryStorage = () => {
+  const items = {};
+  return { getItem: key => items[key] ?? null, setItem: (key, value) => { items[key] = String(value); } };
+};
+
+test('triage entries are keyed per discrepancy and dropped once back to open and empty', async () => {
+  assert.equal(triage.triageKey(ISSUE), KEY);
+  // A dashboard row of the same discrepancy, protocol in another case
+  assert.equal(triage.triageKey({ address: '0xabc', chain: 'ethereum', protocol: 'AAVE V3', symbol: 'USDC', type: 'supply' }), KEY);
+  // Two positions of one protocol holding the same token are triaged apart
+  assert.equal(triage.triageKey({ ...ISSUE, positionKey: 'vault-1|vault-a' }), `${KEY}|vault-1/vault-a`);
+  assert.notEqual(triage.triageKey({ ...ISSUE, positionKey: 'vault-2|vault-b' }), triage.triageKey({ ...ISSUE, positionKey: 'vault-1|vault-a' }));
+
+  let store = triage.setEntry(triage.EMPTY_STORE, KEY, { status: 'reported', link: ' https://example.com/t/1 ', assignee: 'qa' }, NOW);
+  assert.deepEqual(triage.findEntry(store, ISSUE), {
+    status: 'reported',
+    note: '',
+    assignee: 'qa',
+    link: 'https://example.com/t/1',
+    updatedAt: NOW.toISOString()
+  });
+  assert.equal(triage.isAcknowledged(triage.findEntry(store, ISSUE)), true);
+  assert.deepEqual(triage.EMPTY_STORE.items, {});
+
+  store = triage.setEntry(store, KEY, { status: 'open', note: 'waiting for the next run' }, NOW);
+  assert.equal(triage.isAcknowledged(triage.findEntry(store, ISSUE)), false);
+  store = triage.setEntry(store, KEY, { note: '', assignee: null, link: '' }, NOW);
+  assert.deepEqual(store.items, {});
+
+  assert.deepEqual(triage.validateChanges({ status: 'done', link: 'ftp://x', note: 5, owner: 'qa' }), [
+    'status must be one of open, acknowledged, reported, expected',
+    'link must be an http(s) URL',
+    'note must be text',
+    'unknown field "owner"'
+  ]);
+
+  // On static hosting the pages keep their edits in localStorage
+  const storage = memoryStorage();
+  const staticFetch = async () => ({ ok: false });
+  const loaded = await triage.loadStore(staticFetch, storage);
+  assert.deepEqual(loaded, { store: triage.EMPTY_STORE, shared: false });
+  const saved = await triage.saveEntry(KEY, { status: 'expected' }, { ...loaded, fetchFn: staticFetch, storage });
+  assert.equal((await triage.loadStore(staticFetch, storage)).store.items[KEY].status, 'expected');
+  assert.equal(saved.items[KEY].status, 'expected');
+  await assert.rejects(triage.saveEntry(KEY, { status: 'done' }, { ...loaded, fetchFn: staticFetch, storage }), /status must be one of/);
+});
+
+test('the API reads and edits the shared triage.json', async () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defi-triage-'));
+  const server = await startServer({ port: 0, rootDir });
+  const origin = `http://localhost:${server.address().port}`;
+  // What the pages pass as fetch: relative URLs against the served dashboard
+  const fetchFn = (url, options) => fetch(new URL(url, `${origin}/`), options);
+  try {
+    const loaded = await triage.loadStore(fetchFn, memoryStorage());
+    assert.deepEqual(loaded, { store: triage.EMPTY_STORE, shared: true });
+
+    const store = await triage.saveEntry(KEY, { status: 'acknowledged', assignee: 'qa' }, { ...loaded, fetchFn });
+    assert.equal(store.items[KEY].assignee, 'qa');
+    const file = JSON.parse(fs.readFileSync(path.join(rootDir, 'triage.json'), 'utf8'));
+    assert.equal(file.items[KEY].status, 'acknowledged');
+
+    const invalid = await fetch(`${origin}/api/triage/${encodeURIComponent(KEY)}`, { method: 'PUT', body: JSON.stringify({ link: 'not a url' }) });
+    assert.deepEqual([invalid.status, (await invalid.json()).error], [400, `Invalid triage for ${KEY}: link must be an http(s) URL`]);
+    const badKey = await fetch(`${origin}/api/triage/${encodeURIComponent('0xabc|ethereum')}`, { method: 'PUT', body: '{}' });
+    assert.equal(badKey.status, 400);
+    const positionKey = `${KEY}|vault-1/vault-a`;
+    const byPosition = await triage.saveEntry(positionKey, { status: 'expected' }, { ...loaded, fetchFn });
+    assert.deepEqual([byPosition.items[positionKey].status, byPosition.items[KEY].status], ['expected', 'acknowledged']);
+    const notJson = await fetch(`${origin}/api/triage/${encodeURIComponent(KEY)}`, { method: 'PUT', body: 'status=open' });
+    assert.deepEqual([notJson.status, (await notJson.json()).error], [400, 'Request body must be JSON']);
+    const tooLarge = await fetch(`${origin}/api/triage/${encodeURIComponent(KEY)}`, { method: 'PUT', body: JSON.stringify({ note: 'x'.repeat(200 * 1024) }) });
+    assert.deepEqual([tooLarge.status, (await tooLarge.json()).error], [400, 'Request body too large']);
+
+    assert.equal((await (await fetch(`${origin}/api/triage`)).json()).items[KEY].status, 'acknowledged');
+  } finally {
+    server.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});